@@ -1,8 +1,9 @@
+const os = require('os');
+const path = require('path');
 const DependencyContainer = require('../src/dependency-container');
 const ImageOptimizerApp = require('../src/image-optimizer-app');
 const CliParser = require('../src/cli-parser');
-
-const INPUT_DIR = 'original';
+const ImageProcessor = require('../src/image-processor');
 
 async function main() {
   try {
@@ -16,20 +17,57 @@ async function main() {
       process.exit(0);
     }
 
+    // Interrupting an encode must not leave temp files next to the outputs
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => {
+        ImageProcessor.removePendingTempFiles();
+        process.exit(128 + os.constants.signals[signal]);
+      });
+    }
+    
     // Create dependency container
     const container = new DependencyContainer();
     
     // Load configuration
     const configLoader = container.getConfigLoader();
-    const config = await configLoader.loadConfig();
-    
-    // Apply CLI overrides
+    const cliConfig = {};
+    if (options.changeDetection) {
+      cliConfig.changeDetection = options.changeDetection;
+    }
+    if (options.concurrency !== undefined) {
+      cliConfig.concurrency = options.concurrency;
+    }
+    if (options.include) {
+      cliConfig.include = options.include;
+    }
+    if (options.exclude) {
+      cliConfig.exclude = options.exclude;
+    }
+    if (options.inputDir) {
+      // An explicit input directory replaces any configured sources
+      cliConfig.inputDir = options.inputDir;
+      cliConfig.sources = undefined;
+    }
     if (options.noThumbnails) {
-      config.generateThumbnails = false;
+      cliConfig.generateThumbnails = false;
     }
+    const configLayers = await configLoader.loadConfigLayers(process.cwd(), cliConfig);
+    const { config } = configLayers;
     
-    // Create logger
-    const logger = container.createLogger(options.quietMode);
+    if (options.command && options.command !== 'explain') {
+      throw new Error(`Unknown command: ${options.command}. Run with --help for usage`);
+    }
+    if (options.command === 'explain' && options.commandArgs.length !== 1) {
+      throw new Error('explain needs exactly one image path, e.g. explain original/hero.jpg');
+    }
+    
+    if (options.dryRun && !['text', 'json'].includes(options.dryRunFormat)) {
+      throw new Error(`Invalid --dry-run format: ${options.dryRunFormat}. Valid formats are: text, json`);
+    }
+    
+    // Create logger (a JSON plan must be the only thing on stdout)
+    const jsonPlan = options.dryRun && options.dryRunFormat === 'json' && !options.prune;
+    const logger = container.createLogger(options.quietMode || jsonPlan);
     
     // Create managers
     const progressManager = container.getProgressManager(options.quietMode);
@@ -38,16 +76,43 @@ async function main() {
       maxRetries: config.errorRecovery?.maxRetries || options.maxRetries,
       retryDelay: config.errorRecovery?.retryDelay || options.retryDelay,
       exponentialBackoff: config.errorRecovery?.exponentialBackoff !== false,
+      retryPolicies: config.errorRecovery?.retryPolicies,
       errorLog: config.errorRecovery?.errorLog || options.errorLog,
       resume: options.resumeFlag
     });
     
+    // Runs that write outputs or state must not overlap; explain and dry-runs
+    // only read
+    if (options.command !== 'explain' && !options.dryRun) {
+      const runLock = container.getRunLock({ lockFile: errorRecoveryManager.lockFile, logger });
+      await runLock.acquire({ wait: options.waitForLock });
+      // Also runs on Ctrl+C and errors, which end with process.exit()
+      process.on('exit', () => runLock.release());
+    }
+    
     // Create quality rules engine
     const qualityRulesEngine = container.getQualityRulesEngine(config.qualityRules || []);
     
     // Create optimizer
     const optimizer = container.getImageOptimizer(config, logger);
     
+    // Create manifest manager (null when manifest output is disabled)
+    const manifestManager = container.getManifestManager(config, logger);
+    
+    // Watch mode rebuilds the config-dependent components when .imagerc changes
+    const configReloader = {
+      files: ['.imagerc', '.imagerc.json'].map(name => path.join(process.cwd(), name)),
+      reload: async () => {
+        const reloaded = await configLoader.loadConfig(process.cwd(), cliConfig);
+        const reloadContainer = new DependencyContainer();
+        return {
+          config: reloaded,
+          qualityRulesEngine: reloadContainer.getQualityRulesEngine(reloaded.qualityRules || []),
+          optimizer: reloadContainer.getImageOptimizer(reloaded, logger)
+        };
+      }
+    };
+    
     // Create application
     const app = new ImageOptimizerApp({
       config,
@@ -56,7 +121,12 @@ async function main() {
       qualityRulesEngine,
       optimizer,
       logger,
-      inputDir: INPUT_DIR
+      manifestManager,
+      inputDir: config.inputDir || 'original',
+      sources: configLoader.getSources(config),
+      fileFilter: container.getFileFilter(config),
+      outputPruner: container.getOutputPruner(config),
+      configReloader
     });
     
     // Resolve final options with config defaults
@@ -66,16 +136,33 @@ async function main() {
     };
     
     // Run the application
-    if (options.watchMode) {
+    if (options.command === 'explain') {
+      app.showExplanation(await app.explainImage(options.commandArgs[0], configLayers));
+    } else if (options.prune) {
+      await app.pruneOutputs({ dryRun: options.dryRun });
+    } else if (options.dryRun) {
+      const plan = await app.planImages(resolvedOptions);
+      if (jsonPlan) {
+        console.log(JSON.stringify(plan, null, 2));
+      } else {
+        app.showPlan(plan);
+      }
+    } else if (options.watchMode) {
       // Run initial optimization
       const stats = await app.processImages(resolvedOptions);
       app.showSummary(stats, options.quietMode, options.errorLog);
+      if (config.prune) {
+        await app.pruneOutputs();
+      }
       
       // Start watching
       await app.watchForChanges(resolvedOptions);
     } else {
       const stats = await app.processImages(resolvedOptions);
       app.showSummary(stats, options.quietMode, options.errorLog);
+      if (config.prune) {
+        await app.pruneOutputs();
+      }
     }
     
   } catch (error) {
@@ -4,17 +4,32 @@ class CliParser {
   }
 
   parse() {
+    // Arguments that are not flags select a command, e.g. `explain original/hero.jpg`
+    const positional = this.args.filter(arg => !arg.startsWith('-'));
+    
     const options = {
+      command: positional[0],
+      commandArgs: positional.slice(1),
       forceReprocess: this.hasFlag('--force'),
       pullLfs: this.hasFlag('--pull-lfs'),
       noThumbnails: this.hasFlag('--no-thumbnails'),
       continueOnError: this.hasFlag('--continue-on-error'),
       resumeFlag: this.hasFlag('--resume'),
+      retryFailed: this.hasFlag('--retry-failed'),
+      waitForLock: this.hasFlag('--wait-for-lock'),
       quietMode: this.hasFlag('--quiet') || this.hasFlag('-q'),
       watchMode: this.hasFlag('--watch'),
+      prune: this.hasFlag('--prune'),
+      dryRun: this.hasFlag('--dry-run') || this.args.some(arg => arg.startsWith('--dry-run=')),
+      dryRunFormat: this.getStringValue('--dry-run=', 'text'),
       maxRetries: this.getIntValue('--max-retries=', 3),
       retryDelay: this.getIntValue('--retry-delay=', 1000),
-      errorLog: this.getStringValue('--error-log=', 'image-optimization-errors.log')
+      errorLog: this.getStringValue('--error-log=', 'image-optimization-errors.log'),
+      changeDetection: this.getStringValue('--change-detection=', undefined),
+      concurrency: this.getIntValue('--concurrency=', undefined),
+      inputDir: this.getStringValue('--input-dir=', undefined),
+      include: this.getStringValues('--include='),
+      exclude: this.getStringValues('--exclude=')
     };
 
     return options;
@@ -34,11 +49,25 @@ class CliParser {
     return arg ? arg.split('=')[1] : defaultValue;
   }
 
+  getStringValues(prefix) {
+    // Repeatable flags, e.g. --exclude=a --exclude=b
+    const values = this.args
+      .filter(arg => arg.startsWith(prefix))
+      .map(arg => arg.slice(prefix.length));
+    return values.length > 0 ? values : undefined;
+  }
+
   static getHelpText() {
     return `
 Image Optimization Tool
 
 Usage: node scripts/optimize-images.js [options]
+       node scripts/optimize-images.js explain <image> [options]
+
+Commands:
+  explain <image>      Show the configuration used for one image: each value,
+                       whether it came from the defaults, .imagerc, the command
+                       line or a quality rule, and every rule that matched
 
 Options:
   --force              Force reprocess all images, ignoring timestamps
@@ -46,11 +75,25 @@ Options:
   --no-thumbnails      Skip thumbnail generation
   --continue-on-error  Continue processing even if some images fail
   --resume             Resume from previous state (if interrupted)
+  --retry-failed       Only reprocess images in the error log or the saved
+                       state's failures, with retries; the log is rewritten
+                       to list the images that still fail
+  --wait-for-lock      Wait for another run to finish instead of failing
   --quiet, -q          Suppress non-error output
   --watch              Watch for file changes and process automatically
+  --prune              Remove outputs whose source image no longer exists
+  --dry-run[=FORMAT]   Show what would be processed without writing anything,
+                       as 'text' (default) or 'json'; with --prune, list what
+                       would be removed
   --max-retries=N      Maximum retry attempts for failed images (default: 3)
   --retry-delay=MS     Delay between retries in milliseconds (default: 1000)
   --error-log=PATH     Path to error log file (default: image-optimization-errors.log)
+  --concurrency=N      Number of images to process in parallel (default: 1)
+  --input-dir=PATH     Directory to read images from (default: original)
+  --include=GLOB       Only optimize images matching GLOB (repeatable)
+  --exclude=GLOB       Skip images matching GLOB (repeatable)
+  --change-detection=MODE
+                       Detect changed images by 'mtime' (default) or content 'hash'
   --help, -h           Show this help message
 
 Examples:
@@ -63,9 +106,34 @@ Examples:
   # Watch for changes
   node scripts/optimize-images.js --watch
 
+  # Preview a run as JSON
+  node scripts/optimize-images.js --dry-run=json
+
+  # Retry only the images that failed last time
+  node scripts/optimize-images.js --retry-failed
+
+  # Find out why an image gets the quality it gets
+  node scripts/optimize-images.js explain original/products/shoe.jpg
+
+  # Preview, then remove outputs of deleted or renamed images
+  node scripts/optimize-images.js --prune --dry-run
+  node scripts/optimize-images.js --prune
+
   # Process with Git LFS support
   node scripts/optimize-images.js --pull-lfs
 
+  # Process 8 images at a time
+  node scripts/optimize-images.js --concurrency=8
+
+  # Optimize images from another directory
+  node scripts/optimize-images.js --input-dir=assets/images
+
+  # Skip drafts and vendored images
+  node scripts/optimize-images.js --exclude='**/drafts/**' --exclude='vendor/**'
+
+  # Detect changes by content hash (stable across git checkouts)
+  node scripts/optimize-images.js --change-detection=hash
+
   # Quiet mode with error handling
   node scripts/optimize-images.js --quiet --continue-on-error
 `;
@@ -1,3 +1,5 @@
+const ErrorClassifier = require('./error-classifier');
+
 class ConfigLoader {
   constructor(dependencies = {}) {
     // Inject dependencies with defaults
@@ -21,6 +23,18 @@ class ConfigLoader {
   }
   
   async loadConfig(projectRoot = process.cwd(), cliArgs = {}) {
+    const { config } = await this.loadConfigLayers(projectRoot, cliArgs);
+    return config;
+  }
+  
+  /**
+   * Load the configuration and keep each layer it was merged from
+   * @param {string} projectRoot - Directory to look for .imagerc in
+   * @param {Object} cliArgs - Overrides from the command line
+   * @returns {Promise<Object>} { defaults, file, filePath, cli, config }, where
+   *   filePath is null without a config file and config is the validated result
+   */
+  async loadConfigLayers(projectRoot = process.cwd(), cliArgs = {}) {
     let fileConfig = {};
     
     // Try to load config file
@@ -48,7 +62,13 @@ class ConfigLoader {
     // Validate the final configuration
     this.validateConfig(merged);
     
-    return merged;
+    return {
+      defaults: this.defaultConfig,
+      file: fileConfig,
+      filePath: configPath,
+      cli: cliArgs,
+      config: merged
+    };
   }
   
   async findConfigFile(projectRoot) {
@@ -73,19 +93,7 @@ class ConfigLoader {
   validateConfig(config) {
     // Validate formats
     if (config.formats !== undefined) {
-      if (!Array.isArray(config.formats)) {
-        throw new Error('formats must be an array');
-      }
-      
-      if (config.formats.length === 0) {
-        throw new Error('At least one output format must be specified');
-      }
-      
-      for (const format of config.formats) {
-        if (!this.validFormats.includes(format)) {
-          throw new Error(`Invalid format: ${format}. Valid formats are: ${this.validFormats.join(', ')}`);
-        }
-      }
+      this.validateFormats(config.formats);
     }
     
     // Validate quality values
@@ -110,6 +118,23 @@ class ConfigLoader {
       }
     }
     
+    // Validate responsive breakpoints
+    if (config.breakpoints !== undefined) {
+      if (!Array.isArray(config.breakpoints)) {
+        throw new Error('breakpoints must be an array');
+      }
+    
+      for (const width of config.breakpoints) {
+        if (!Number.isInteger(width) || width <= 0) {
+          throw new Error(`Invalid breakpoint: ${width}. Breakpoints must be positive integers`);
+        }
+      }
+    
+      if (new Set(config.breakpoints).size !== config.breakpoints.length) {
+        throw new Error('breakpoints must not contain duplicate widths');
+      }
+    }
+    
     // Validate output directory
     if (config.outputDir !== undefined) {
       if (typeof config.outputDir !== 'string' || config.outputDir.trim() === '') {
@@ -117,26 +142,152 @@ class ConfigLoader {
       }
     }
     
-    // Validate metadata preservation
-    if (config.preserveMetadata !== undefined) {
-      if (typeof config.preserveMetadata === 'boolean') {
-        // Valid boolean
-      } else if (typeof config.preserveMetadata === 'object' && config.preserveMetadata !== null) {
-        // Validate object fields
-        const validFields = ['copyright', 'creator', 'datetime', 'camera', 'gps', 'all'];
-        for (const key in config.preserveMetadata) {
-          if (!validFields.includes(key)) {
-            throw new Error(`Invalid metadata field: ${key}. Valid fields are: ${validFields.join(', ')}`);
+    // Validate input directory
+    if (config.inputDir !== undefined) {
+      if (typeof config.inputDir !== 'string' || config.inputDir.trim() === '') {
+        throw new Error('Input directory cannot be empty');
+      }
+      if (config.sources !== undefined) {
+        throw new Error('Use either inputDir or sources, not both');
+      }
+    }
+    
+    // Validate source roots
+    if (config.sources !== undefined) {
+      if (!Array.isArray(config.sources) || config.sources.length === 0) {
+        throw new Error('sources must be a non-empty array');
+      }
+      
+      config.sources.forEach((source, index) => {
+        const input = typeof source === 'string' ? source : source?.input;
+        if (typeof input !== 'string' || input.trim() === '') {
+          throw new Error(`sources[${index}] must be a directory path or an object with an input directory`);
+        }
+        if (typeof source === 'object' && source.output !== undefined && typeof source.output !== 'string') {
+          throw new Error(`sources[${index}].output must be a string`);
+        }
+      });
+      
+      // Each source needs its own output subdirectory so outputs map back to it
+      const outputs = this.getSources(config).map(source => source.output);
+      outputs.forEach((output, index) => {
+        if (output === '..' || output.startsWith('../')) {
+          throw new Error(`sources[${index}].output must stay inside the output directory`);
+        }
+        
+        const overlapping = outputs.findIndex((other, otherIndex) => otherIndex !== index &&
+          (output === '' || other === output || other.startsWith(output + '/')));
+        if (overlapping !== -1) {
+          throw new Error(`sources[${index}] and sources[${overlapping}] write to overlapping output directories`);
+        }
+      });
+    }
+    
+    // Validate include/exclude globs
+    for (const key of ['include', 'exclude']) {
+      if (config[key] !== undefined) {
+        if (!Array.isArray(config[key]) ||
+            config[key].some(pattern => typeof pattern !== 'string' || pattern.trim() === '')) {
+          throw new Error(`${key} must be an array of glob patterns`);
+        }
+      }
+    }
+    
+    // Validate concurrency
+    if (config.concurrency !== undefined) {
+      if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+        throw new Error('concurrency must be a positive integer');
+      }
+    }
+    
+    // Validate change detection strategy
+    if (config.changeDetection !== undefined) {
+      const validStrategies = ['mtime', 'hash'];
+      if (!validStrategies.includes(config.changeDetection)) {
+        throw new Error(`Invalid changeDetection: ${config.changeDetection}. Valid values are: ${validStrategies.join(', ')}`);
+      }
+    }
+    
+    // Validate manifest output
+    if (config.manifest !== undefined) {
+      if (typeof config.manifest !== 'boolean' &&
+          (typeof config.manifest !== 'string' || config.manifest.trim() === '')) {
+        throw new Error('manifest must be a boolean or a file path');
+      }
+    }
+    
+    // Validate automatic pruning
+    if (config.prune !== undefined && typeof config.prune !== 'boolean') {
+      throw new Error('prune must be a boolean');
+    }
+    
+    // Validate watch mode settings
+    if (config.watch !== undefined) {
+      if (typeof config.watch !== 'object' || config.watch === null || Array.isArray(config.watch)) {
+        throw new Error('watch must be an object');
+      }
+      if (config.watch.reprocessOnConfigChange !== undefined &&
+          typeof config.watch.reprocessOnConfigChange !== 'boolean') {
+        throw new Error('watch.reprocessOnConfigChange must be a boolean');
+      }
+    }
+    
+    // Validate GIF handling
+    if (config.gif !== undefined) {
+      if (typeof config.gif !== 'object' || config.gif === null || Array.isArray(config.gif)) {
+        throw new Error('gif must be an object');
+      }
+      
+      const validModes = ['convert', 'copy'];
+      if (config.gif.mode !== undefined && !validModes.includes(config.gif.mode)) {
+        throw new Error(`Invalid gif.mode: ${config.gif.mode}. Valid values are: ${validModes.join(', ')}`);
+      }
+      
+      if (config.gif.formats !== undefined) {
+        const validGifFormats = ['webp', 'avif'];
+        if (!Array.isArray(config.gif.formats) || config.gif.formats.length === 0) {
+          throw new Error('gif.formats must be a non-empty array');
+        }
+        for (const format of config.gif.formats) {
+          if (!validGifFormats.includes(format)) {
+            throw new Error(`Invalid gif format: ${format}. Valid formats are: ${validGifFormats.join(', ')}`);
+          }
+        }
+      }
+    }
+    
+    // Validate error recovery
+    if (config.errorRecovery !== undefined) {
+      if (typeof config.errorRecovery !== 'object' || config.errorRecovery === null || Array.isArray(config.errorRecovery)) {
+        throw new Error('errorRecovery must be an object');
+      }
+      if (config.errorRecovery.retryPolicies !== undefined) {
+        this.validateRetryPolicies(config.errorRecovery.retryPolicies);
+      }
+    }
+    
+    // Validate placeholder generation
+    if (config.placeholders !== undefined) {
+      if (typeof config.placeholders === 'object' && config.placeholders !== null) {
+        const validTypes = ['blurhash', 'lqip', 'dominantColor'];
+        for (const key in config.placeholders) {
+          if (!validTypes.includes(key)) {
+            throw new Error(`Invalid placeholder type: ${key}. Valid types are: ${validTypes.join(', ')}`);
           }
-          if (typeof config.preserveMetadata[key] !== 'boolean') {
-            throw new Error(`Metadata field ${key} must be a boolean`);
+          if (typeof config.placeholders[key] !== 'boolean') {
+            throw new Error(`Placeholder type ${key} must be a boolean`);
           }
         }
-      } else {
-        throw new Error('preserveMetadata must be a boolean or an object');
+      } else if (typeof config.placeholders !== 'boolean') {
+        throw new Error('placeholders must be a boolean or an object');
       }
     }
     
+    // Validate metadata preservation
+    if (config.preserveMetadata !== undefined) {
+      this.validatePreserveMetadata(config.preserveMetadata);
+    }
+    
     // Validate quality rules
     if (config.qualityRules !== undefined) {
       if (!Array.isArray(config.qualityRules)) {
@@ -149,11 +300,20 @@ class ConfigLoader {
         }
         
         // At least one matching criteria required
-        if (!rule.pattern && !rule.directory && !rule.minWidth && !rule.minHeight && 
-            !rule.maxWidth && !rule.maxHeight) {
+        const criteria = ['pattern', 'directory', 'minWidth', 'minHeight', 'maxWidth', 'maxHeight',
+          'minAspectRatio', 'maxAspectRatio', 'hasAlpha', 'minFileSize', 'maxFileSize',
+          'inputFormat', 'colorSpace', 'cameraModel', 'orientation'];
+        if (!criteria.some(key => rule[key] !== undefined)) {
           throw new Error(`qualityRules[${index}] must have at least one matching criteria`);
         }
         
+        // And at least one setting to apply
+        const settings = ['quality', 'formats', 'maxDimension', 'generateThumbnails',
+          'thumbnailWidth', 'preserveMetadata', 'lossless', 'skip'];
+        if (!settings.some(key => rule[key] !== undefined)) {
+          throw new Error(`qualityRules[${index}] must set at least one of: ${settings.join(', ')}`);
+        }
+        
         // Validate pattern
         if (rule.pattern !== undefined && typeof rule.pattern !== 'string') {
           throw new Error(`qualityRules[${index}].pattern must be a string`);
@@ -164,8 +324,9 @@ class ConfigLoader {
           throw new Error(`qualityRules[${index}].directory must be a string`);
         }
         
-        // Validate size constraints
-        const sizeProps = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight'];
+        // Validate size, aspect ratio and file size constraints
+        const sizeProps = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight',
+          'minAspectRatio', 'maxAspectRatio', 'minFileSize', 'maxFileSize'];
         for (const prop of sizeProps) {
           if (rule[prop] !== undefined) {
             if (typeof rule[prop] !== 'number' || rule[prop] <= 0) {
@@ -174,22 +335,180 @@ class ConfigLoader {
           }
         }
         
+        // Validate image property criteria
+        if (rule.hasAlpha !== undefined && typeof rule.hasAlpha !== 'boolean') {
+          throw new Error(`qualityRules[${index}].hasAlpha must be a boolean`);
+        }
+        
+        for (const prop of ['inputFormat', 'colorSpace']) {
+          const values = [].concat(rule[prop]);
+          if (rule[prop] !== undefined &&
+              (values.length === 0 || values.some(value => typeof value !== 'string' || value.trim() === ''))) {
+            throw new Error(`qualityRules[${index}].${prop} must be a string or an array of strings`);
+          }
+        }
+        
+        if (rule.cameraModel !== undefined &&
+            (typeof rule.cameraModel !== 'string' || rule.cameraModel.trim() === '')) {
+          throw new Error(`qualityRules[${index}].cameraModel must be a non-empty string`);
+        }
+        
+        if (rule.orientation !== undefined) {
+          const orientations = [].concat(rule.orientation);
+          if (orientations.length === 0 ||
+              orientations.some(value => !Number.isInteger(value) || value < 1 || value > 8)) {
+            throw new Error(`qualityRules[${index}].orientation must be an EXIF orientation (1-8) or an array of them`);
+          }
+        }
+        
         // Validate quality object
-        if (!rule.quality || typeof rule.quality !== 'object') {
-          throw new Error(`qualityRules[${index}].quality must be an object`);
+        if (rule.quality !== undefined) {
+          if (!rule.quality || typeof rule.quality !== 'object') {
+            throw new Error(`qualityRules[${index}].quality must be an object`);
+          }
+          
+          // Validate quality values
+          for (const format in rule.quality) {
+            const value = rule.quality[format];
+            if (typeof value !== 'number' || value < 1 || value > 100) {
+              throw new Error(`qualityRules[${index}].quality.${format} must be between 1 and 100`);
+            }
+          }
+        }
+        
+        // Validate output overrides
+        if (rule.formats !== undefined) {
+          this.validateFormats(rule.formats, `qualityRules[${index}].formats`);
         }
         
-        // Validate quality values
-        for (const format in rule.quality) {
-          const value = rule.quality[format];
-          if (typeof value !== 'number' || value < 1 || value > 100) {
-            throw new Error(`qualityRules[${index}].quality.${format} must be between 1 and 100`);
+        if (rule.maxDimension !== undefined &&
+            (!Number.isInteger(rule.maxDimension) || rule.maxDimension <= 0)) {
+          throw new Error(`qualityRules[${index}].maxDimension must be a positive integer`);
+        }
+        
+        if (rule.thumbnailWidth !== undefined &&
+            (typeof rule.thumbnailWidth !== 'number' || rule.thumbnailWidth < 10 || rule.thumbnailWidth > 1000)) {
+          throw new Error(`qualityRules[${index}].thumbnailWidth must be between 10 and 1000`);
+        }
+        
+        for (const key of ['generateThumbnails', 'lossless', 'skip']) {
+          if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+            throw new Error(`qualityRules[${index}].${key} must be a boolean`);
           }
         }
+        
+        if (rule.preserveMetadata !== undefined) {
+          this.validatePreserveMetadata(rule.preserveMetadata, `qualityRules[${index}].preserveMetadata`);
+        }
       });
     }
   }
   
+  /**
+   * Validate a formats list, top-level or from a quality rule
+   * @param {Array<string>} formats - Formats to check
+   * @param {string} [context] - Where the list came from, e.g. 'qualityRules[0].formats'
+   */
+  validateFormats(formats, context = '') {
+    const where = context ? ` in ${context}` : '';
+    
+    if (!Array.isArray(formats)) {
+      throw new Error(`${context || 'formats'} must be an array`);
+    }
+    
+    if (formats.length === 0) {
+      throw new Error(`At least one output format must be specified${where}`);
+    }
+    
+    for (const format of formats) {
+      if (!this.validFormats.includes(format)) {
+        throw new Error(`Invalid format: ${format}${where}. Valid formats are: ${this.validFormats.join(', ')}`);
+      }
+    }
+  }
+  
+  validateRetryPolicies(retryPolicies) {
+    if (typeof retryPolicies !== 'object' || retryPolicies === null || Array.isArray(retryPolicies)) {
+      throw new Error('errorRecovery.retryPolicies must be an object');
+    }
+    
+    const categories = ErrorClassifier.getCategories();
+    for (const category in retryPolicies) {
+      const where = `errorRecovery.retryPolicies.${category}`;
+      const policy = retryPolicies[category];
+      
+      if (!categories.includes(category)) {
+        throw new Error(`Invalid error class: ${category}. Valid classes are: ${categories.join(', ')}`);
+      }
+      if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+        throw new Error(`${where} must be an object`);
+      }
+      if (policy.maxRetries !== undefined && (!Number.isInteger(policy.maxRetries) || policy.maxRetries < 1)) {
+        throw new Error(`${where}.maxRetries must be a positive integer`);
+      }
+      if (policy.retryDelay !== undefined && (typeof policy.retryDelay !== 'number' || policy.retryDelay < 0)) {
+        throw new Error(`${where}.retryDelay must be a non-negative number`);
+      }
+      if (policy.exponentialBackoff !== undefined && typeof policy.exponentialBackoff !== 'boolean') {
+        throw new Error(`${where}.exponentialBackoff must be a boolean`);
+      }
+    }
+  }
+  
+  /**
+   * Validate a metadata policy, top-level or from a quality rule
+   * @param {boolean|Object} preserveMetadata - Policy to check
+   * @param {string} [context] - Where the policy came from, e.g. 'qualityRules[0].preserveMetadata'
+   */
+  validatePreserveMetadata(preserveMetadata, context = '') {
+    const where = context ? ` in ${context}` : '';
+    
+    if (typeof preserveMetadata === 'boolean') {
+      return;
+    }
+    
+    if (typeof preserveMetadata !== 'object' || preserveMetadata === null) {
+      throw new Error(`${context || 'preserveMetadata'} must be a boolean or an object`);
+    }
+    
+    // Validate object fields
+    const validFields = ['copyright', 'creator', 'datetime', 'camera', 'gps', 'all'];
+    for (const key in preserveMetadata) {
+      if (!validFields.includes(key)) {
+        throw new Error(`Invalid metadata field: ${key}${where}. Valid fields are: ${validFields.join(', ')}`);
+      }
+      if (typeof preserveMetadata[key] !== 'boolean') {
+        throw new Error(`Metadata field ${key} must be a boolean${where}`);
+      }
+    }
+  }
+  
+  /**
+   * Normalize inputDir/sources into a list of input directories, each with
+   * the output subdirectory its images are written to
+   * @param {Object} config - Merged configuration
+   * @returns {Array<{input: string, output: string}>}
+   */
+  getSources(config) {
+    if (!config.sources) {
+      return [{ input: config.inputDir || 'original', output: '' }];
+    }
+    
+    return config.sources.map(source => {
+      const { input, output } = typeof source === 'string' ? { input: source } : source || {};
+      return {
+        input,
+        // Without an explicit output, mirror the source path under outputDir
+        output: this.normalizeSubdirectory(output !== undefined ? output : input)
+      };
+    });
+  }
+  
+  normalizeSubdirectory(dir) {
+    const normalized = this.path.posix.normalize(dir.replace(/\\/g, '/')).replace(/\/+$/, '');
+    return normalized === '.' ? '' : normalized;
+  }
+  
   mergeConfigs(defaults, fileConfig, cliArgs) {
     // Deep merge objects
     const merged = { ...defaults };
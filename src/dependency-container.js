@@ -9,6 +9,7 @@ const path = require('path');
 const GitLfsDetector = require('./git-lfs-detector');
 const GitLfsPuller = require('./git-lfs-puller');
 const FileTimestampChecker = require('./file-timestamp-checker');
+const FileHashChecker = require('./file-hash-checker');
 const ImageProcessor = require('./image-processor');
 const OutputPathGenerator = require('./output-path-generator');
 const ProcessingConfigGenerator = require('./processing-config-generator');
@@ -17,6 +18,11 @@ const ConfigLoader = require('./config-loader');
 const ErrorRecoveryManager = require('./error-recovery-manager');
 const ProgressManager = require('./progress-manager');
 const QualityRulesEngine = require('./quality-rules-engine');
+const ManifestManager = require('./manifest-manager');
+const PlaceholderGenerator = require('./placeholder-generator');
+const FileFilter = require('./file-filter');
+const OutputPruner = require('./output-pruner');
+const RunLock = require('./run-lock');
 
 class DependencyContainer {
   constructor(options = {}) {
@@ -54,6 +60,10 @@ class DependencyContainer {
     };
   }
 
+  createHashCacheFileSystem() {
+    return { readFile: fs.readFile, writeFile: fs.writeFile, stat: fs.stat };
+  }
+
   createFileOperations() {
     return { copyFile: fs.copyFile };
   }
@@ -97,6 +107,13 @@ class DependencyContainer {
     return this.instances.errorRecoveryManager;
   }
 
+  getRunLock(options) {
+    if (!this.instances.runLock) {
+      this.instances.runLock = new RunLock(options);
+    }
+    return this.instances.runLock;
+  }
+
   getQualityRulesEngine(rules) {
     if (!this.instances.qualityRulesEngine) {
       this.instances.qualityRulesEngine = new QualityRulesEngine(rules, minimatch, path);
@@ -104,6 +121,52 @@ class DependencyContainer {
     return this.instances.qualityRulesEngine;
   }
 
+  getFileFilter(config) {
+    if (!this.instances.fileFilter) {
+      this.instances.fileFilter = new FileFilter(
+        { include: config.include, exclude: config.exclude },
+        { minimatch: minimatch.minimatch }
+      );
+    }
+    return this.instances.fileFilter;
+  }
+
+  getManifestPath(config) {
+    return typeof config.manifest === 'string'
+      ? config.manifest
+      : path.join(config.outputDir, 'manifest.json');
+  }
+
+  getManifestManager(config, logger) {
+    if (!config.manifest) {
+      return null;
+    }
+    if (!this.instances.manifestManager) {
+      const manifestPath = this.getManifestPath(config);
+      this.instances.manifestManager = new ManifestManager(
+        { manifestPath, logger },
+        { fs, path, sharp }
+      );
+    }
+    return this.instances.manifestManager;
+  }
+
+  getOutputPruner(config) {
+    if (!this.instances.outputPruner) {
+      this.instances.outputPruner = new OutputPruner(
+        {
+          outputDir: config.outputDir,
+          protectedPaths: [
+            this.getManifestPath(config),
+            path.join(config.outputDir, '.image-cache.json')
+          ]
+        },
+        { fs }
+      );
+    }
+    return this.instances.outputPruner;
+  }
+
   getGitLfsDetector() {
     if (!this.instances.gitLfsDetector) {
       this.instances.gitLfsDetector = new GitLfsDetector(this.createFileReader());
@@ -125,6 +188,27 @@ class DependencyContainer {
     return this.instances.timestampChecker;
   }
 
+  getFileHashChecker(config) {
+    if (!this.instances.hashChecker) {
+      this.instances.hashChecker = new FileHashChecker(
+        this.createHashCacheFileSystem(),
+        path.join(config.outputDir, '.image-cache.json'),
+        { compareContent: config.changeDetection === 'hash' }
+      );
+    }
+    return this.instances.hashChecker;
+  }
+
+  getPlaceholderGenerator(config) {
+    if (!config.placeholders) {
+      return null;
+    }
+    if (!this.instances.placeholderGenerator) {
+      this.instances.placeholderGenerator = new PlaceholderGenerator(sharp, config.placeholders);
+    }
+    return this.instances.placeholderGenerator;
+  }
+
   getImageProcessor(config = {}) {
     if (!this.instances.imageProcessor) {
       this.instances.imageProcessor = new ImageProcessor(sharp, config);
@@ -153,6 +237,8 @@ class DependencyContainer {
         gitLfsDetector: this.getGitLfsDetector(),
         gitLfsPuller: this.getGitLfsPuller(logger),
         timestampChecker: this.getFileTimestampChecker(),
+        hashChecker: this.getFileHashChecker(config),
+        placeholderGenerator: this.getPlaceholderGenerator(config),
         imageProcessor: this.getImageProcessor(config),
         pathGenerator: this.getOutputPathGenerator(config.outputDir),
         processingConfigGenerator: this.getProcessingConfigGenerator(config),
@@ -0,0 +1,90 @@
+// Checked in order: error codes first, then messages, since sharp and git
+// report most failures without a code
+const ERROR_CLASSES = [
+  {
+    category: 'diskFull',
+    codes: ['ENOSPC', 'EDQUOT'],
+    pattern: /no space left|disk full|quota exceeded/i,
+    retryable: false
+  },
+  {
+    category: 'permission',
+    codes: ['EACCES', 'EPERM', 'EROFS'],
+    pattern: /permission denied|operation not permitted|read-only file system/i,
+    retryable: false
+  },
+  {
+    category: 'unsupportedFormat',
+    codes: [],
+    pattern: /unsupported image format|unsupported output format|not a known file format/i,
+    retryable: false
+  },
+  {
+    category: 'decode',
+    codes: [],
+    pattern: /corrupt|premature end|truncated|bad seek|read error|load(_buffer)?: |unable to decode/i,
+    retryable: false
+  },
+  {
+    category: 'resourceLimit',
+    codes: ['EBUSY', 'EMFILE', 'ENFILE', 'EAGAIN', 'ENOMEM'],
+    pattern: /pixel limit|out of memory|too many open files/i,
+    retryable: true
+  },
+  {
+    category: 'timeout',
+    codes: ['ETIMEDOUT', 'ESOCKETTIMEDOUT'],
+    pattern: /timed out|timeout: \d+% complete/i,
+    retryable: true
+  },
+  {
+    category: 'network',
+    // ERR_LFS_PULL marks failed Git LFS pulls, whatever git reported
+    codes: ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_LFS_PULL'],
+    pattern: /network is unreachable|socket hang up|could not resolve host|connection (?:reset|refused)/i,
+    retryable: true
+  }
+];
+
+class ErrorClassifier {
+  /**
+   * Sort an error into the class its retry policy is configured by
+   * @param {Error} error - Error thrown while processing an image
+   * @returns {string} One of ErrorClassifier.getCategories()
+   */
+  classify(error) {
+    // Errors about an image wrap the sharp or git error as their cause
+    const chain = [];
+    for (let current = error; current && typeof current === 'object'; current = current.cause) {
+      chain.push(current);
+    }
+    
+    for (const { code } of chain) {
+      const byCode = ERROR_CLASSES.find(errorClass => code && errorClass.codes.includes(code));
+      if (byCode) {
+        return byCode.category;
+      }
+    }
+
+    const message = this.stripPaths(chain[chain.length - 1]?.message || '');
+    const byMessage = ERROR_CLASSES.find(errorClass => errorClass.pattern.test(message));
+    return byMessage ? byMessage.category : 'unknown';
+  }
+
+  stripPaths(message) {
+    // sharp names the input and output files in some messages; their names
+    // must not decide the class, e.g. for network-map.png
+    return message.replace(/"[^"]*"|'[^']*'|\S*[\\/]\S*/g, '');
+  }
+
+  isRetryable(category) {
+    const errorClass = ERROR_CLASSES.find(candidate => candidate.category === category);
+    return !!errorClass && errorClass.retryable;
+  }
+
+  static getCategories() {
+    return [...ERROR_CLASSES.map(errorClass => errorClass.category), 'unknown'];
+  }
+}
+
+module.exports = ErrorClassifier;
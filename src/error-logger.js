@@ -1,9 +1,11 @@
 const fs = require('fs').promises;
+const ErrorClassifier = require('./error-classifier');
 
 class ErrorLogger {
   constructor(options = {}) {
     this.errorLog = options.errorLog || 'image-optimization-errors.log';
     this.logger = options.logger || console;
+    this.classifier = options.classifier || new ErrorClassifier();
     this.errors = [];
   }
 
@@ -14,6 +16,7 @@ class ErrorLogger {
       error: {
         message: error.message,
         code: error.code,
+        category: this.classifier.classify(error),
         stack: error.stack
       },
       context: {
@@ -33,6 +36,59 @@ class ErrorLogger {
     }
   }
 
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.errorLog, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to read error log:', error.message);
+      }
+      return [];
+    }
+    
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A line cut short by an interrupted run
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Replace the log file with the errors logged by this instance, dropping
+   * entries from earlier runs unless kept
+   * @param {Function} [keepEntry] - Keeps the earlier entries it returns true for
+   */
+  async rewrite(keepEntry = null) {
+    const lines = this.errors.map(entry => JSON.stringify(entry));
+    
+    if (keepEntry) {
+      // The log file holds this instance's entries too, after the earlier ones
+      const own = new Set(lines);
+      const earlier = (await this.read())
+        .filter(entry => !own.has(JSON.stringify(entry)) && keepEntry(entry));
+      lines.unshift(...earlier.map(entry => JSON.stringify(entry)));
+    }
+    
+    if (lines.length === 0) {
+      await this.clear();
+      return;
+    }
+    
+    try {
+      await fs.writeFile(this.errorLog, lines.map(line => line + '\n').join(''));
+    } catch (error) {
+      this.logger.error('Failed to write to error log:', error.message);
+    }
+  }
+
   getErrors() {
     return this.errors;
   }
@@ -1,5 +1,8 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
 const StatePersistenceManager = require('./state-persistence-manager');
 const ErrorLogger = require('./error-logger');
+const ErrorClassifier = require('./error-classifier');
 
 class ErrorRecoveryManager {
   constructor(options = {}) {
@@ -7,7 +10,11 @@ class ErrorRecoveryManager {
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.exponentialBackoff = options.exponentialBackoff !== false;
+    // Per error class overrides of the three settings above
+    this.retryPolicies = options.retryPolicies || {};
+    this.classifier = options.classifier || new ErrorClassifier();
     this.processedFiles = new Map();
+    this.fs = options.fs || fs;
     this.logger = options.logger || console;
     
     // Delegate state persistence and error logging
@@ -18,26 +25,21 @@ class ErrorRecoveryManager {
     
     this.errorLogger = new ErrorLogger({
       errorLog: options.errorLog,
-      logger: this.logger
+      logger: this.logger,
+      classifier: this.classifier
     });
   }
 
   async processWithRecovery(operation, context) {
-    let lastError;
-    const retryableErrors = ['ENOENT', 'EBUSY', 'ETIMEDOUT', 'ECONNRESET', 'ENOTFOUND'];
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+    for (let attempt = 1; ; attempt++) {
       try {
         const result = await operation();
         return { success: true, result, attempts: attempt };
       } catch (error) {
-        lastError = error;
+        const category = this.classifier.classify(error);
+        const policy = this.getRetryPolicy(category);
         
-        // Check if error is retryable
-        const isRetryable = retryableErrors.includes(error.code) || 
-                          (error.message && error.message.includes('LFS'));
-        
-        if (!isRetryable || attempt === this.maxRetries) {
+        if (attempt >= policy.maxRetries) {
           // Log the error
           await this.errorLogger.log(context.file, error, { ...context, attempt });
           
@@ -49,16 +51,30 @@ class ErrorRecoveryManager {
         }
         
         // Calculate delay with exponential backoff
-        const delay = this.exponentialBackoff 
-          ? this.retryDelay * Math.pow(2, attempt - 1)
-          : this.retryDelay;
+        const delay = policy.exponentialBackoff 
+          ? policy.retryDelay * Math.pow(2, attempt - 1)
+          : policy.retryDelay;
           
-        this.logger.log(`Retry attempt ${attempt}/${this.maxRetries} for ${context.file} after ${delay}ms...`);
+        this.logger.log(`Retry attempt ${attempt}/${policy.maxRetries} for ${context.file} after ${delay}ms (${category} error)...`);
         await this.sleep(delay);
       }
     }
-    
-    return { success: false, error: lastError, attempts: this.maxRetries };
+  }
+
+  /**
+   * Retry settings for an error class: the global settings for transient
+   * classes, a single attempt for the rest, then the class's own overrides
+   * @param {string} category - Result of ErrorClassifier.classify()
+   * @returns {Object} { maxRetries, retryDelay, exponentialBackoff }, where
+   *   maxRetries counts every attempt including the first
+   */
+  getRetryPolicy(category) {
+    return {
+      maxRetries: this.classifier.isRetryable(category) ? this.maxRetries : 1,
+      retryDelay: this.retryDelay,
+      exponentialBackoff: this.exponentialBackoff,
+      ...this.retryPolicies[category]
+    };
   }
 
   async saveState(state) {
@@ -90,12 +106,8 @@ class ErrorRecoveryManager {
     
     if (state && state.files && state.files.processed) {
       // Restore processed files
-      state.files.processed.forEach(file => {
-        this.processedFiles.set(file.path, {
-          status: file.status,
-          error: file.error,
-          outputs: file.outputs
-        });
+      state.files.processed.forEach(({ path, ...data }) => {
+        this.processedFiles.set(path, data);
       });
     }
     
@@ -108,14 +120,80 @@ class ErrorRecoveryManager {
     this.processedFiles.clear();
   }
 
+  /**
+   * Files the last run failed on, from the error log and the saved state
+   * @param {Function} [toInputPath] - Maps the file names of error log
+   *   entries to input paths, so an image in both lists is listed once
+   * @returns {Promise<Array<string>>} Error log entries name the file as
+   *   processed unless mapped, state entries by input path
+   */
+  async getFailedFiles(toInputPath = file => file) {
+    const failed = new Set();
+    
+    for (const entry of await this.errorLogger.read()) {
+      if (entry.file && entry.context?.type !== 'fatal') {
+        failed.add(toInputPath(entry.file));
+      }
+    }
+    
+    await this.loadState();
+    for (const [filePath, record] of this.processedFiles) {
+      if (record.status === 'failed') {
+        failed.add(filePath);
+      }
+    }
+    
+    return [...failed];
+  }
+
+  rewriteErrorLog(keepEntry) {
+    return this.errorLogger.rewrite(keepEntry);
+  }
+
   recordProcessedFile(filePath, result) {
     this.processedFiles.set(filePath, result);
   }
 
+  /**
+   * Whether a resumed run can skip a file, reading it for its fingerprint
+   * only if it was recorded as succeeded with one
+   * @param {string} filePath - Path the file was recorded under
+   * @returns {Promise<boolean>}
+   */
+  async canSkipOnResume(filePath) {
+    const record = this.processedFiles.get(filePath);
+    if (!record || record.status !== 'success' || !record.fingerprint) {
+      return false;
+    }
+    return this.isFileCompleted(filePath, await this.fingerprintFile(filePath));
+  }
+
   isFileProcessed(filePath) {
     return this.processedFiles.has(filePath);
   }
 
+  /**
+   * Whether a resumed run can skip a file: it succeeded before and its
+   * content has not changed since
+   * @param {string} filePath - Path the file was recorded under
+   * @param {string} fingerprint - Current fingerprintFile() of the source
+   * @returns {boolean}
+   */
+  isFileCompleted(filePath, fingerprint) {
+    const record = this.processedFiles.get(filePath);
+    return !!record && record.status === 'success' &&
+      !!fingerprint && record.fingerprint === fingerprint;
+  }
+
+  async fingerprintFile(filePath) {
+    try {
+      const content = await this.fs.readFile(filePath);
+      return crypto.createHash('sha256').update(content).digest('hex');
+    } catch {
+      return null;
+    }
+  }
+
   generateReport() {
     const processedArray = Array.from(this.processedFiles.values());
     const succeeded = processedArray.filter(f => f.status === 'success').length;
@@ -151,6 +229,10 @@ class ErrorRecoveryManager {
     return this.statePersistence.stateFile;
   }
 
+  get lockFile() {
+    return this.statePersistence.lockFile;
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
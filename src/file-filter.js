@@ -0,0 +1,52 @@
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|gif|webp)$/i;
+
+class FileFilter {
+  constructor(options = {}, dependencies = {}) {
+    // Inject dependencies with defaults
+    this.minimatch = dependencies.minimatch || require('minimatch').minimatch;
+
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+  }
+
+  /**
+   * Check whether a file should be optimized
+   * @param {string} relativePath - Path relative to the source directory
+   * @returns {boolean} True for images matching include and not matching exclude
+   */
+  accepts(relativePath) {
+    if (!IMAGE_EXTENSIONS.test(relativePath)) {
+      return false;
+    }
+
+    const normalizedPath = this.normalize(relativePath);
+    if (this.include.length > 0 && !this.include.some(pattern => this.match(normalizedPath, pattern))) {
+      return false;
+    }
+
+    return !this.exclude.some(pattern => this.match(normalizedPath, pattern));
+  }
+
+  /**
+   * Check whether a whole directory is excluded, so it need not be scanned
+   * @param {string} relativePath - Directory path relative to the source directory
+   * @returns {boolean} True when an exclude pattern covers the directory
+   */
+  excludesDirectory(relativePath) {
+    const normalizedPath = this.normalize(relativePath);
+    return this.exclude.some(pattern =>
+      this.match(normalizedPath, pattern) || this.match(`${normalizedPath}/`, pattern)
+    );
+  }
+
+  match(normalizedPath, pattern) {
+    // Patterns without a slash match the file name at any depth
+    return this.minimatch(normalizedPath, pattern, { dot: true, matchBase: true });
+  }
+
+  normalize(relativePath) {
+    return relativePath.replace(/\\/g, '/');
+  }
+}
+
+module.exports = FileFilter;
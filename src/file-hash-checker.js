@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+class FileHashChecker {
+  constructor(fileSystem, cachePath, options = {}) {
+    this.fileSystem = fileSystem;
+    this.cachePath = cachePath;
+    // When false only settings are tracked and timestamps decide content changes
+    this.compareContent = options.compareContent !== false;
+    this.entries = null;
+    this.loading = null;
+    this.dirty = false;
+  }
+
+  async shouldProcess(inputPath, outputPaths, forceReprocess, settings = {}) {
+    if (forceReprocess) {
+      return true;
+    }
+
+    const sourceHash = await this.hashFile(inputPath);
+    if (!sourceHash) {
+      return false;
+    }
+
+    const entries = await this.load();
+    const entry = entries[this.getKey(inputPath)];
+    if (!entry ||
+        entry.sourceHash !== sourceHash ||
+        entry.settingsHash !== this.hashSettings(settings)) {
+      return true;
+    }
+
+    // Cached hashes only count if the outputs are still there
+    for (const outputPath of outputPaths) {
+      if (!(await this.exists(outputPath))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async settingsChanged(inputPath, settings = {}) {
+    const entries = await this.load();
+    const key = this.getKey(inputPath);
+    const settingsHash = this.hashSettings(settings);
+
+    if (!entries[key]) {
+      // No record yet (e.g. outputs from before tracking existed) - adopt the
+      // current settings as the baseline instead of regenerating everything
+      entries[key] = { settingsHash };
+      this.dirty = true;
+      return false;
+    }
+
+    return entries[key].settingsHash !== settingsHash;
+  }
+
+  async recordProcessed(inputPath, settings = {}) {
+    const entry = { settingsHash: this.hashSettings(settings) };
+
+    if (this.compareContent) {
+      entry.sourceHash = await this.hashFile(inputPath);
+      if (!entry.sourceHash) {
+        return;
+      }
+    }
+
+    const entries = await this.load();
+    entries[this.getKey(inputPath)] = entry;
+    this.dirty = true;
+  }
+
+  /**
+   * SHA-256 of the source as of the last recordProcessed() call, so callers
+   * that need a content hash do not read the file again
+   * @param {string} inputPath - Path of the source image
+   * @returns {string|null} Null unless compareContent is enabled
+   */
+  getRecordedHash(inputPath) {
+    const entry = this.entries && this.entries[this.getKey(inputPath)];
+    return (entry && entry.sourceHash) || null;
+  }
+
+  load() {
+    // Share one read between images checked in parallel
+    if (!this.loading) {
+      this.loading = this.readCache().then(entries => {
+        this.entries = entries;
+        return entries;
+      });
+    }
+    return this.loading;
+  }
+
+  async readCache() {
+    try {
+      const content = await this.fileSystem.readFile(this.cachePath, 'utf8');
+      const cache = JSON.parse(content);
+      return cache.version === '1.0' ? cache.entries || {} : {};
+    } catch {
+      // Missing or unreadable cache - everything is treated as changed
+      return {};
+    }
+  }
+
+  async save() {
+    if (!this.dirty) {
+      return;
+    }
+
+    const entries = {};
+    for (const key of Object.keys(this.entries).sort()) {
+      entries[key] = this.entries[key];
+    }
+
+    await this.fileSystem.writeFile(
+      this.cachePath,
+      JSON.stringify({ version: '1.0', entries }, null, 2) + '\n'
+    );
+    this.dirty = false;
+  }
+
+  async hashFile(filePath) {
+    try {
+      const content = await this.fileSystem.readFile(filePath);
+      return crypto.createHash('sha256').update(content).digest('hex');
+    } catch {
+      return null;
+    }
+  }
+
+  hashSettings(settings) {
+    return crypto.createHash('sha256').update(this.stableStringify(settings)).digest('hex');
+  }
+
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  async exists(filePath) {
+    try {
+      await this.fileSystem.stat(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getKey(inputPath) {
+    return inputPath.replace(/\\/g, '/');
+  }
+}
+
+module.exports = FileHashChecker;
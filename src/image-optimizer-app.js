@@ -1,5 +1,12 @@
 const fs = require('fs').promises;
 const path = require('path');
+const FileFilter = require('./file-filter');
+const OutputPruner = require('./output-pruner');
+const WatchQueue = require('./watch-queue');
+
+// Settings that decide what is watched and where outputs go cannot change
+// while watching
+const RESTART_REQUIRED_KEYS = ['inputDir', 'sources', 'outputDir', 'manifest', 'include', 'exclude'];
 
 class ImageOptimizerApp {
   constructor({
@@ -9,7 +16,12 @@ class ImageOptimizerApp {
     qualityRulesEngine,
     optimizer,
     logger,
-    inputDir = 'original'
+    manifestManager = null,
+    inputDir = 'original',
+    sources = null,
+    fileFilter = new FileFilter(),
+    outputPruner = null,
+    configReloader = null
   }) {
     this.config = config;
     this.progressManager = progressManager;
@@ -17,25 +29,50 @@ class ImageOptimizerApp {
     this.qualityRulesEngine = qualityRulesEngine;
     this.optimizer = optimizer;
     this.logger = logger;
+    this.manifestManager = manifestManager;
     this.inputDir = inputDir;
+    // Each source maps an input directory to a subdirectory of outputDir
+    this.sources = sources || [{ input: inputDir, output: '' }];
+    this.fileFilter = fileFilter;
+    this.outputPruner = outputPruner || new OutputPruner({ outputDir: config.outputDir });
+    // { files, reload() } - lets watch mode pick up .imagerc edits
+    this.configReloader = configReloader;
   }
 
   async processImages(options = {}) {
-    const { forceReprocess, pullLfs, continueOnError, resumeFlag } = options;
+    const { forceReprocess, pullLfs, continueOnError, resumeFlag, retryFailed } = options;
+    // Image failures that stop the run are logged once, as the image's error
+    const reportedErrors = new WeakSet();
+    const attemptedFiles = new Set();
     
     try {
       await fs.mkdir(this.config.outputDir, { recursive: true });
       
-      const imageFiles = await this._findImageFiles(this.inputDir);
+      const imageFiles = await this._findSourceFiles();
+      
+      if (this.manifestManager) {
+        await this.manifestManager.load();
+      }
       
       if (imageFiles.length === 0) {
-        this.logger.log('No images found in the original directory');
+        await this._finalizeManifest(imageFiles);
+        this.logger.log(`No images found in ${this._describeSources()}`);
+        return { processed: 0, skipped: 0, errors: 0, lfsPointers: 0, lfsErrors: 0 };
+      }
+      
+      // --retry-failed only reprocesses images the last run failed on, but the
+      // manifest below is still finalized against every source image
+      const filesToProcess = retryFailed ? await this._findFailedFiles(imageFiles) : imageFiles;
+      
+      if (filesToProcess.length === 0) {
+        await this.errorRecoveryManager.clearState();
+        this.logger.log('✅ No failed images to retry');
         return { processed: 0, skipped: 0, errors: 0, lfsPointers: 0, lfsErrors: 0 };
       }
       
-      this.progressManager.start(imageFiles.length);
+      this.progressManager.start(filesToProcess.length);
       
-      this.logger.log(`Found ${imageFiles.length} images to process...`);
+      this.logger.log(`Found ${filesToProcess.length} images to process...`);
       if (forceReprocess) {
         this.logger.log('Force reprocessing enabled - all images will be regenerated');
       }
@@ -52,85 +89,101 @@ class ImageOptimizerApp {
         lfsErrors: 0
       };
       
-      const savedState = await this.errorRecoveryManager.loadState();
-      let startIndex = 0;
+      // Resume by file identity: an image is skipped only if the saved state
+      // recorded it as succeeded and its source is unchanged, so images added,
+      // removed or reordered since then cannot shift what gets skipped
+      const savedState = resumeFlag ? await this.errorRecoveryManager.loadState() : null;
+      const resuming = !!savedState;
       
-      if (resumeFlag && savedState) {
-        // Handle both old and new state formats
-        startIndex = savedState.checkpoint?.processedCount || savedState.progress?.processed || 0;
-        if (startIndex > 0) {
-          this.logger.log(`📂 Resuming from previous state... (starting at image ${startIndex + 1})`);
-        }
+      if (resuming) {
+        const finished = savedState.progress?.succeeded || 0;
+        this.logger.log(`📂 Resuming from previous state... (${finished} images finished, unchanged ones are skipped)`);
       }
       
-      const filesToProcess = imageFiles.slice(startIndex);
+      const concurrency = this.config.concurrency || 1;
       
-      for (let i = 0; i < filesToProcess.length; i++) {
-        const file = filesToProcess[i];
-        
+      if (concurrency > 1) {
+        this.logger.log(`Processing up to ${concurrency} images in parallel`);
+      }
+      
+      let finishedCount = 0;
+      
+      await this._runWithConcurrency(filesToProcess, concurrency, async file => {
         this.progressManager.setFilename(file);
+        attemptedFiles.add(file);
+        
+        const inputPath = this._getInputPath(file);
         
         try {
-          const imageQuality = await this.qualityRulesEngine.getQualityForImage(
-            path.join(this.inputDir, file)
-          );
+          const imageOptions = await this._getImageOptions(inputPath);
           
-          const mergedQuality = {
-            ...this.config.quality,
-            ...imageQuality
-          };
+          if (resuming && await this.errorRecoveryManager.canSkipOnResume(inputPath)) {
+            this._updateStats(stats, 'skipped', file);
+            await this._updateManifest(file, 'skipped', imageOptions);
+            return;
+          }
           
-          const result = await this.optimizer.optimizeImage(
-            path.join(this.inputDir, file), 
-            file,
-            { 
-              forceReprocess, 
-              pullLfs,
-              quality: mergedQuality
-            }
-          );
+          const optimizeOptions = { 
+            forceReprocess, 
+            pullLfs,
+            ...imageOptions
+          };
+          // Failures are retried by the policy of their error class, and the
+          // error behind the last attempt is logged even when continuing
+          const { result, error } = await this._optimizeWithRetries(inputPath, file, optimizeOptions);
           
           this._updateStats(stats, result, file);
+          await this._updateManifest(file, result, imageOptions);
           
-          if (result === 'error') {
-            // Log the error even if continuing on error
-            const error = new Error(`Failed to process ${file}`);
-            await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
-            
-            if (!continueOnError) {
-              throw error;
-            }
+          if (result === 'error' && !continueOnError) {
+            // Counted and logged above; the catch below only records it
+            reportedErrors.add(error);
+            throw error;
           }
           
-          this.errorRecoveryManager.recordProcessedFile(file, { status: result });
+          this.errorRecoveryManager.recordProcessedFile(inputPath, {
+            status: result === 'processed' || result === 'skipped' ? 'success' : 'failed',
+            result,
+            // Images that were up to date are skipped cheaply on resume anyway,
+            // so only fresh outputs need a fingerprint
+            fingerprint: result === 'processed' ? await this._fingerprintFile(inputPath) : null
+          });
           
-          if (i % 10 === 0) {
-            await this.errorRecoveryManager.saveState({ 
-              processedCount: i + 1,
-              totalCount: imageFiles.length 
-            });
+          if (++finishedCount % 10 === 1) {
+            await this.errorRecoveryManager.saveState({ total: imageFiles.length });
           }
           
         } catch (error) {
-          stats.errors++;
-          this.progressManager.increment({ status: 'error', filename: file });
-          await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
+          if (!reportedErrors.has(error)) {
+            stats.errors++;
+            this.progressManager.increment({ status: 'error', filename: file });
+            await this.errorRecoveryManager.logError(file, error, { type: 'processing_error' });
+          }
+          this.errorRecoveryManager.recordProcessedFile(inputPath, {
+            status: 'failed',
+            error: error.message
+          });
           
           if (!continueOnError) {
+            await this.errorRecoveryManager.saveState({ total: imageFiles.length });
             throw error;
           }
         }
-      }
+      });
       
       this.progressManager.finish(false);
       
-      if (stats.errors === 0) {
+      await this.optimizer.saveCache();
+      await this._finalizeManifest(imageFiles);
+      
+      if (stats.errors === 0 && stats.lfsErrors === 0) {
         await this.errorRecoveryManager.clearState();
       } else {
-        await this.errorRecoveryManager.saveState({ 
-          processedCount: imageFiles.length,
-          totalCount: imageFiles.length 
-        });
+        await this.errorRecoveryManager.saveState({ total: imageFiles.length });
+        if (retryFailed) {
+          // Leave only the images that still fail in the log
+          await this.errorRecoveryManager.rewriteErrorLog();
+        }
       }
       
       return stats;
@@ -138,11 +191,376 @@ class ImageOptimizerApp {
     } catch (error) {
       this.progressManager.finish();
       this.logger.error('Fatal error:', error);
-      await this.errorRecoveryManager.logError('FATAL', error, { type: 'fatal' });
+      if (!reportedErrors.has(error)) {
+        await this.errorRecoveryManager.logError('FATAL', error, { type: 'fatal' });
+      }
+      if (retryFailed) {
+        // Images the aborted run never got to still fail as before
+        await this.errorRecoveryManager.rewriteErrorLog(
+          entry => entry.context?.type !== 'fatal' && !attemptedFiles.has(entry.file)
+        );
+      }
       throw error;
     }
   }
 
+  async _findFailedFiles(imageFiles) {
+    // The error log names images by file, the state file by input path;
+    // both are compared as input paths so no image is counted twice
+    const failed = new Set(await this.errorRecoveryManager.getFailedFiles(file => this._getInputPath(file)));
+    const files = imageFiles.filter(file => failed.has(this._getInputPath(file)));
+    
+    const gone = failed.size - files.length;
+    this.logger.log(`🔁 Retrying ${files.length} failed images` +
+      (gone > 0 ? ` (${gone} no longer exist or are excluded)` : ''));
+    return files;
+  }
+
+  _fingerprintFile(inputPath) {
+    // With content change detection the source was just hashed
+    return this.optimizer.getRecordedHash(inputPath) ||
+      this.errorRecoveryManager.fingerprintFile(inputPath);
+  }
+
+  /**
+   * optimizeImage() under the retry policy of the error class of each failure
+   * @returns {Promise<Object>} { result, error }: the last attempt's result,
+   *   and for failures the error behind it, already logged
+   */
+  async _optimizeWithRetries(inputPath, file, options) {
+    let result;
+    
+    // The optimizer reports failures as results; throw the errors behind
+    // them so the retry policy of their error class applies
+    const attempt = async () => {
+      result = await this.optimizer.optimizeImage(inputPath, file, options);
+      if (result === 'lfs-error') {
+        throw this.optimizer.takeFailure(file) ||
+          Object.assign(new Error(`Git LFS pull failed for ${file}`), { code: 'ERR_LFS_PULL' });
+      }
+      if (result === 'error') {
+        throw this.optimizer.takeFailure(file) || new Error(`Failed to process ${file}`);
+      }
+      return result;
+    };
+    
+    try {
+      const { error } = await this.errorRecoveryManager.processWithRecovery(attempt, { file, type: 'processing_error' });
+      return { result, error };
+    } catch (error) {
+      // Already logged; the caller decides whether to stop
+      return { result, error };
+    }
+  }
+
+  async planImages(options = {}) {
+    const { forceReprocess, pullLfs } = options;
+    const imageFiles = await this._findSourceFiles();
+    const images = [];
+    
+    for (const file of imageFiles) {
+      const inputPath = this._getInputPath(file);
+      
+      images.push(await this.optimizer.planImage(inputPath, file, {
+        forceReprocess,
+        pullLfs,
+        ...await this._getImageOptions(inputPath)
+      }));
+    }
+    
+    const summary = { process: 0, pullLfs: 0, skip: 0 };
+    for (const image of images) {
+      if (image.action === 'skip') {
+        summary.skip++;
+      } else {
+        summary.process++;
+        if (image.action === 'pull-lfs') {
+          summary.pullLfs++;
+        }
+      }
+    }
+    
+    return { summary, images };
+  }
+
+  showPlan(plan) {
+    this.logger.log('📋 Dry run - nothing will be written\n');
+    
+    for (const image of plan.images) {
+      if (image.action === 'skip') {
+        this.logger.log(`⏭️  Skip ${image.file} (${image.reason})`);
+        continue;
+      }
+      
+      this.logger.log(`${image.action === 'pull-lfs' ? '📥 Pull LFS and process' : '⚙️  Process'} ${image.file}`);
+      for (const output of image.outputs) {
+        const details = [output.format];
+        if (output.width) {
+          details.push(`${output.width}w`);
+        }
+        if (output.quality !== undefined) {
+          details.push(`quality ${output.quality}`);
+        }
+        this.logger.log(`     ${output.path} (${details.join(', ')})`);
+      }
+    }
+    
+    const { summary } = plan;
+    this.logger.log(`\nPlan: ${summary.process} to process (${summary.pullLfs} after an LFS pull), ${summary.skip} to skip`);
+  }
+
+  async explainImage(filePath, configLayers = null) {
+    const absolutePath = path.resolve(filePath);
+    const file = this._getWatchedFile(absolutePath);
+    if (!file) {
+      throw new Error(this._getSourceForInput(absolutePath)
+        ? `${filePath} is not an image or is excluded by include/exclude`
+        : `${filePath} is not inside ${this._describeSources()}`);
+    }
+    
+    const inputPath = this._getInputPath(file);
+    try {
+      await fs.access(inputPath);
+    } catch {
+      throw new Error(`${filePath} does not exist`);
+    }
+    
+    // Always read the image here, so the explanation can show what size and
+    // property rules were compared against
+    const metadata = await this.optimizer.readMetadata(inputPath);
+    const imageOptions = await this._getImageOptions(inputPath, metadata);
+    const settings = this.optimizer.getEffectiveSettings(imageOptions, file);
+    const ruleSources = this.qualityRulesEngine.getSettingSources(inputPath, metadata);
+    
+    const sourceOf = key => {
+      if (ruleSources[key]) {
+        return `qualityRules[${ruleSources[key].index}] (${ruleSources[key].criteria})`;
+      }
+      const isSetIn = layer => layer && key.split('.').reduce((value, part) => value?.[part], layer) !== undefined;
+      if (isSetIn(configLayers?.cli)) {
+        return 'command line';
+      }
+      if (isSetIn(configLayers?.file)) {
+        return path.basename(configLayers.filePath);
+      }
+      return 'default';
+    };
+    
+    const values = [
+      ['formats', settings.formats],
+      ...Object.entries(settings.quality).map(([format, value]) => [`quality.${format}`, value]),
+      ['breakpoints', settings.breakpoints],
+      ['generateThumbnails', settings.generateThumbnails],
+      ['thumbnailWidth', settings.thumbnailWidth],
+      ['maxDimension', imageOptions.maxDimension || 2000],
+      ['preserveMetadata', settings.preserveMetadata],
+      ['lossless', !!settings.lossless],
+      ['skip', !!imageOptions.skip]
+    ];
+    
+    return {
+      file,
+      inputPath,
+      configFile: configLayers?.filePath || null,
+      metadata,
+      rules: this.qualityRulesEngine.explainMatch(inputPath, metadata),
+      settings: values
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ({ key, value, source: sourceOf(key) }))
+    };
+  }
+
+  showExplanation(explanation) {
+    const { metadata } = explanation;
+    
+    this.logger.log(`🔍 ${explanation.file} (${explanation.inputPath})`);
+    this.logger.log(`   Config file: ${explanation.configFile || 'none, using defaults'}`);
+    if (metadata) {
+      const details = [`${metadata.width}x${metadata.height}`, metadata.format, `${metadata.fileSize} bytes`];
+      if (metadata.hasAlpha) {
+        details.push('alpha');
+      }
+      if (metadata.cameraModel) {
+        details.push(`camera ${metadata.cameraModel}`);
+      }
+      this.logger.log(`   Image: ${details.join(', ')}`);
+    } else {
+      this.logger.log('   Image: unreadable (size and property rules cannot match)');
+    }
+    
+    this.logger.log('\n📏 Matching rules, most specific first:');
+    if (explanation.rules.length === 0) {
+      this.logger.log('   none');
+    }
+    for (const rule of explanation.rules) {
+      this.logger.log(`   qualityRules[${rule.index}] ${rule.criteria} (specificity ${Number(rule.specificity.toFixed(2))})`);
+    }
+    
+    this.logger.log('\n⚙️  Resolved settings:');
+    const width = Math.max(...explanation.settings.map(({ key }) => key.length));
+    for (const { key, value, source } of explanation.settings) {
+      this.logger.log(`   ${key.padEnd(width)}  ${JSON.stringify(value)}  ← ${source}`);
+    }
+  }
+
+  async pruneOutputs(options = {}) {
+    const { dryRun } = options;
+    
+    // Anything the current sources would not produce is an orphan,
+    // including the outputs of images a rule now skips
+    const imageFiles = [];
+    const expectedPaths = [];
+    for (const file of await this._findSourceFiles()) {
+      const imageOptions = await this._getImageOptions(this._getInputPath(file));
+      if (!imageOptions.skip) {
+        imageFiles.push(file);
+        expectedPaths.push(...this.optimizer.getOutputPaths(file, imageOptions));
+      }
+    }
+    const result = await this.outputPruner.prune(expectedPaths, { dryRun });
+    
+    const verb = dryRun ? 'Would remove' : 'Removed';
+    for (const file of result.files) {
+      this.logger.log(`🗑️  ${verb} ${file}`);
+    }
+    for (const directory of result.directories) {
+      this.logger.log(`🗑️  ${verb} empty directory ${directory}`);
+    }
+    
+    if (result.files.length === 0 && result.directories.length === 0) {
+      this.logger.log('✨ No orphaned outputs found');
+    } else {
+      this.logger.log(`${verb} ${result.files.length} orphaned files and ${result.directories.length} empty directories`);
+    }
+    
+    if (!dryRun && this.manifestManager) {
+      await this.manifestManager.load();
+      await this._finalizeManifest(imageFiles);
+    }
+    
+    return result;
+  }
+
+  async _runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
+    let failure = null;
+    
+    // Each runner pulls the next item until the list is exhausted; after a
+    // failure no new items are started, but in-flight ones are allowed to finish
+    const runner = async () => {
+      while (nextIndex < items.length && !failure) {
+        const index = nextIndex++;
+        try {
+          await worker(items[index], index);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+    
+    const runnerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: runnerCount }, runner));
+    
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  async _findSourceFiles() {
+    const files = [];
+    
+    // Files are keyed by their path below outputDir, so keys from different
+    // sources never collide
+    for (const source of this.sources) {
+      const sourceFiles = await this._findImageFiles(source.input);
+      files.push(...sourceFiles.map(file => source.output ? path.join(source.output, file) : file));
+    }
+    
+    return files;
+  }
+
+  _getSource(file) {
+    const key = file.split(path.sep).join('/');
+    return this.sources.find(source => !source.output || key.startsWith(source.output + '/'));
+  }
+
+  _getInputPath(file) {
+    const source = this._getSource(file);
+    if (!source) {
+      return path.join(this.inputDir, file);
+    }
+    return path.join(source.input, source.output ? path.relative(source.output, file) : file);
+  }
+
+  async _getImageOptions(inputPath, metadata) {
+    // Only decode the header when a size rule needs the dimensions
+    if (metadata === undefined) {
+      metadata = this.qualityRulesEngine.usesMetadata()
+        ? await this.optimizer.readMetadata(inputPath)
+        : null;
+    }
+    const settings = this.qualityRulesEngine.getSettingsForImage(inputPath, metadata);
+    
+    return {
+      ...settings,
+      quality: { ...this.config.quality, ...settings.quality }
+    };
+  }
+
+  _getSourceForInput(filePath) {
+    return this.sources.find(source => {
+      const relativePath = path.relative(source.input, filePath);
+      return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    });
+  }
+
+  _isIgnoredByWatcher(filePath, stats) {
+    const source = this._getSourceForInput(filePath);
+    const relativePath = source ? path.relative(source.input, filePath) : '';
+    if (!relativePath) {
+      return false;
+    }
+    
+    // Dotfiles and dot-directories are never watched
+    if (/(^|[/\\])\./.test(relativePath)) {
+      return true;
+    }
+    
+    // chokidar may ask before it has stats; files are filtered again on events
+    if (stats && stats.isDirectory()) {
+      return this.fileFilter.excludesDirectory(relativePath);
+    }
+    if (stats && stats.isFile()) {
+      return !this.fileFilter.accepts(relativePath);
+    }
+    return false;
+  }
+
+  _getWatchedFile(filePath) {
+    const source = this._getSourceForInput(filePath);
+    const relativePath = source ? path.relative(source.input, filePath) : '';
+    if (!relativePath || !this.fileFilter.accepts(relativePath)) {
+      return null;
+    }
+    // Same key as _findSourceFiles, so watch and batch write the same layout
+    return source.output ? path.join(source.output, relativePath) : relativePath;
+  }
+
+  _getOutputDirectory(dirPath) {
+    const source = this._getSourceForInput(dirPath);
+    const relativePath = source ? path.relative(source.input, dirPath) : '';
+    if (!relativePath || this.fileFilter.excludesDirectory(relativePath)) {
+      return null;
+    }
+    return path.join(this.config.outputDir, source.output, relativePath);
+  }
+
+  _describeSources() {
+    return this.sources.length === 1
+      ? `the ${this.sources[0].input} directory`
+      : `${this.sources.length} source directories`;
+  }
+
   async _findImageFiles(dir, relativePath = '') {
     const files = [];
     const entries = await fs.readdir(dir, { withFileTypes: true });
@@ -152,10 +570,13 @@ class ImageOptimizerApp {
       const relativeFilePath = relativePath ? path.join(relativePath, entry.name) : entry.name;
       
       if (entry.isDirectory()) {
+        if (this.fileFilter.excludesDirectory(relativeFilePath)) {
+          continue;
+        }
         // Recursively scan subdirectories
         const subFiles = await this._findImageFiles(fullPath, relativeFilePath);
         files.push(...subFiles);
-      } else if (entry.isFile() && /\.(jpg|jpeg|png|gif|webp)$/i.test(entry.name)) {
+      } else if (entry.isFile() && this.fileFilter.accepts(relativeFilePath)) {
         files.push(relativeFilePath);
       }
     }
@@ -167,11 +588,10 @@ class ImageOptimizerApp {
     const { pullLfs } = options;
     const chokidar = require('chokidar');
     
-    this.logger.log('👀 Watching for changes in the original directory...');
-    this.logger.log('Press Ctrl+C to stop\n');
-    
-    const watcher = chokidar.watch(this.inputDir, {
-      ignored: /(^|[/\\])\../,
+    const watcher = chokidar.watch(this.sources.map(source => source.input), {
+      ignored: (filePath, stats) => this._isIgnoredByWatcher(filePath, stats),
+      // Existing images were handled by the batch run that precedes watching
+      ignoreInitial: true,
       persistent: true,
       awaitWriteFinish: {
         stabilityThreshold: 2000,
@@ -179,45 +599,202 @@ class ImageOptimizerApp {
       }
     });
     
-    const processFile = async (filePath, action) => {
-      const file = path.basename(filePath);
-      if (!/\.(jpg|jpeg|png|gif|webp)$/i.test(file)) {
-        return;
-      }
-      
+    const processFile = async (filePath, file, action) => {
       this.logger.log(`\n${action === 'add' ? '📸 New' : '🔄'} image ${action === 'add' ? 'detected' : 'changed'}: ${file}`);
       
       try {
-        const imageQuality = await this.qualityRulesEngine.getQualityForImage(filePath);
-        const mergedQuality = {
-          ...this.config.quality,
-          ...imageQuality
-        };
+        const imageOptions = await this._getImageOptions(filePath);
         
-        const result = await this.optimizer.optimizeImage(
+        const { result } = await this._optimizeWithRetries(
           filePath,
           file,
           { 
             forceReprocess: true,
             pullLfs,
-            quality: mergedQuality
+            ...imageOptions
           }
         );
         
         if (result === 'processed') {
+          await this._updateManifest(file, result, imageOptions);
           this.logger.log(`✅ ${action === 'add' ? 'Optimized' : 'Re-optimized'} ${file}`);
         } else if (result === 'error') {
           this.logger.error(`❌ Failed to optimize ${file}`);
         }
+        return result;
       } catch (error) {
         this.logger.error(`❌ Error processing ${file}:`, error.message);
+        return 'error';
       }
     };
     
-    watcher.on('add', filePath => processFile(filePath, 'add'));
-    watcher.on('change', filePath => processFile(filePath, 'change'));
+    const removeFile = async (filePath, file) => {
+      this.logger.log(`\n🗑️  Image deleted: ${file}`);
+      
+      try {
+        // The source is gone, so only pattern and directory rules can apply.
+        // Outputs from before a skip rule was added are removed too.
+        const imageOptions = { ...await this._getImageOptions(filePath), skip: false };
+        const removed = await this.outputPruner.removeOutputs(this.optimizer.getOutputPaths(file, imageOptions));
+        if (this.manifestManager) {
+          this.manifestManager.removeEntry(file);
+        }
+        this.logger.log(`✅ Removed ${removed.length} outputs of ${file}`);
+      } catch (error) {
+        this.logger.error(`❌ Error removing outputs of ${file}:`, error.message);
+      }
+    };
+    
+    const removeDirectory = async (dirPath, outputDirectory) => {
+      this.logger.log(`\n🗑️  Directory deleted: ${dirPath}`);
+      
+      try {
+        const { files } = await this.outputPruner.prune([], { directory: outputDirectory });
+        this.logger.log(`✅ Removed ${files.length} outputs from ${outputDirectory}`);
+      } catch (error) {
+        this.logger.error(`❌ Error removing outputs from ${outputDirectory}:`, error.message);
+      }
+    };
+    
+    const processBatch = async tasks => {
+      // A new config applies to everything else in the batch
+      if (tasks.some(task => task.action === 'config')) {
+        await this.reloadConfig(options);
+      }
+      
+      // Removals run first and one at a time, so a deleted directory and the
+      // files inside it never clean up the same output directories concurrently
+      for (const task of tasks.filter(task => task.action === 'unlink' || task.action === 'unlinkDir')) {
+        if (task.action === 'unlink') {
+          await removeFile(task.filePath, task.file);
+        } else {
+          await removeDirectory(task.filePath, task.outputDirectory);
+        }
+      }
+      
+      const changes = tasks.filter(task => task.action === 'add' || task.action === 'change');
+      if (changes.length > 0) {
+        const stats = { processed: 0, skipped: 0, errors: 0, lfsPointers: 0, lfsErrors: 0 };
+        this.progressManager.start(changes.length);
+        
+        await this._runWithConcurrency(changes, this.config.concurrency || 1, async task => {
+          this.progressManager.setFilename(task.file);
+          const result = await processFile(task.filePath, task.file, task.action);
+          this._updateStats(stats, result, task.file);
+        });
+        
+        this.progressManager.finish(changes.length > 1);
+        await this.optimizer.saveCache();
+      }
+      
+      if (this.manifestManager) {
+        await this.manifestManager.save();
+      }
+    };
+    
+    // Events are collected per path, so a burst of changes to one file is
+    // processed once, and a rename (unlink + add) becomes a delete followed by
+    // a new image. Saving via delete-and-recreate collapses into a change.
+    const queue = new WatchQueue({
+      onBatch: processBatch,
+      onError: error => this.logger.error('❌ Error processing changes:', error.message)
+    });
+    
+    const enqueueFile = (filePath, action) => {
+      const file = this._getWatchedFile(filePath);
+      if (file) {
+        queue.push(filePath, { action, filePath, file });
+      }
+    };
+    
+    watcher.on('add', filePath => enqueueFile(filePath, 'add'));
+    watcher.on('change', filePath => enqueueFile(filePath, 'change'));
+    watcher.on('unlink', filePath => enqueueFile(filePath, 'unlink'));
+    watcher.on('unlinkDir', dirPath => {
+      const outputDirectory = this._getOutputDirectory(dirPath);
+      if (outputDirectory) {
+        queue.push(dirPath, { action: 'unlinkDir', filePath: dirPath, outputDirectory });
+      }
+    });
     watcher.on('error', error => this.logger.error('❌ Watcher error:', error));
     
+    const ready = [new Promise(resolve => watcher.once('ready', resolve))];
+    if (this.configReloader) {
+      const configWatcher = this._watchConfigFiles(chokidar, () => queue.push('config', { action: 'config' }));
+      ready.push(new Promise(resolve => configWatcher.once('ready', resolve)));
+      
+      const closeWatcher = watcher.close.bind(watcher);
+      watcher.close = async () => {
+        await configWatcher.close();
+        return closeWatcher();
+      };
+    }
+    
+    // Only announce once events can no longer be missed
+    Promise.all(ready).then(() => {
+      this.logger.log(`👀 Watching for changes in ${this._describeSources()}...`);
+      this.logger.log('Press Ctrl+C to stop\n');
+    });
+    
+    watcher.queue = queue;
+    return watcher;
+  }
+
+  async reloadConfig(options = {}) {
+    let next;
+    try {
+      next = await this.configReloader.reload();
+    } catch (error) {
+      this.logger.error(`❌ Invalid configuration, keeping the previous one: ${error.message}`);
+      return false;
+    }
+    
+    const changedKeys = RESTART_REQUIRED_KEYS.filter(key =>
+      JSON.stringify(next.config[key]) !== JSON.stringify(this.config[key]));
+    if (changedKeys.length > 0) {
+      this.logger.error(`❌ Changing ${changedKeys.join(', ')} requires a restart, keeping the previous configuration`);
+      return false;
+    }
+    
+    // Swap everything at once so no image is processed with a mix of old and
+    // new settings
+    this.config = next.config;
+    this.qualityRulesEngine = next.qualityRulesEngine;
+    this.optimizer = next.optimizer;
+    this.logger.log('🔧 Configuration reloaded');
+    
+    if (this.config.watch?.reprocessOnConfigChange) {
+      // Change detection includes the effective settings, so only images
+      // whose settings changed are regenerated
+      this.logger.log('🔄 Reprocessing images whose settings changed...');
+      const stats = await this.processImages({ pullLfs: options.pullLfs, continueOnError: true });
+      this.logger.log(`✅ Reprocessed ${stats.processed} images (${stats.skipped} unchanged)`);
+    }
+    
+    return true;
+  }
+
+  _watchConfigFiles(chokidar, onChange) {
+    const files = this.configReloader.files.map(file => path.resolve(file));
+    const directories = [...new Set(files.map(file => path.dirname(file)))];
+    
+    // Watch the directory rather than the files, so a config file created
+    // after startup is picked up too
+    const watcher = chokidar.watch(directories, {
+      ignored: filePath => !directories.includes(filePath) && !files.includes(filePath),
+      ignoreInitial: true,
+      depth: 0,
+      awaitWriteFinish: {
+        stabilityThreshold: 200,
+        pollInterval: 50
+      }
+    });
+    
+    for (const event of ['add', 'change', 'unlink']) {
+      watcher.on(event, onChange);
+    }
+    watcher.on('error', error => this.logger.error('❌ Config watcher error:', error));
+    
     return watcher;
   }
 
@@ -241,6 +818,34 @@ class ImageOptimizerApp {
     }
   }
 
+  async _updateManifest(file, result, imageOptions = {}) {
+    if (!this.manifestManager || imageOptions.skip) {
+      return;
+    }
+    
+    // Skipped images keep their entry; only describe them if it is missing
+    const needsEntry = result === 'processed' ||
+      (result === 'skipped' && !this.manifestManager.hasEntry(file));
+    
+    if (needsEntry) {
+      await this.manifestManager.updateEntry(
+        file,
+        this._getInputPath(file),
+        this.optimizer.getOutputPaths(file, imageOptions),
+        await this.optimizer.readPlaceholder(file)
+      );
+    }
+  }
+
+  async _finalizeManifest(imageFiles) {
+    if (!this.manifestManager) {
+      return;
+    }
+    
+    this.manifestManager.prune(imageFiles);
+    await this.manifestManager.save();
+  }
+
   _updateStats(stats, result, file) {
     switch (result) {
       case 'processed': 
@@ -9,6 +9,8 @@ class ImageOptimizer {
       this.gitLfsDetector = config.gitLfsDetector;
       this.gitLfsPuller = config.gitLfsPuller;
       this.timestampChecker = config.timestampChecker;
+      this.hashChecker = config.hashChecker;
+      this.placeholderGenerator = config.placeholderGenerator;
       this.imageProcessor = config.imageProcessor;
       this.pathGenerator = config.pathGenerator;
       this.processingConfigGenerator = config.processingConfigGenerator;
@@ -20,6 +22,8 @@ class ImageOptimizer {
         gitLfsDetector,
         gitLfsPuller,
         timestampChecker,
+        hashChecker,
+        placeholderGenerator,
         imageProcessor,
         pathGenerator,
         processingConfigGenerator,
@@ -30,6 +34,8 @@ class ImageOptimizer {
       this.gitLfsDetector = gitLfsDetector;
       this.gitLfsPuller = gitLfsPuller;
       this.timestampChecker = timestampChecker;
+      this.hashChecker = hashChecker;
+      this.placeholderGenerator = placeholderGenerator;
       this.imageProcessor = imageProcessor;
       this.pathGenerator = pathGenerator;
       this.processingConfigGenerator = processingConfigGenerator;
@@ -50,11 +56,21 @@ class ImageOptimizer {
         preserveMetadata: false
       };
     }
+    
+    // optimizeImage() reports failures as a status; the error behind the
+    // last failure of each file is kept for callers that log or retry it
+    this.failures = new Map();
   }
 
   async optimizeImage(inputPath, filename, options = {}) {
     const ext = path.parse(filename).ext.toLowerCase();
 
+    // A rule can exclude an image without pulling or reading it
+    if (options.skip) {
+      this.logger.log(`⏭️  Skipping ${filename} (skipped by rule)`);
+      return 'skipped';
+    }
+
     // Check for Git LFS pointer
     if (await this.gitLfsDetector.isGitLfsPointer(inputPath)) {
       if (options.pullLfs) {
@@ -63,12 +79,20 @@ class ImageOptimizer {
         
         if (!pullResult.success) {
           this.logger.log(`❌ Error pulling LFS file: ${filename} - ${pullResult.error}`);
+          this.failures.set(filename, Object.assign(
+            new Error(`Git LFS pull failed for ${filename}: ${pullResult.error}`),
+            { code: 'ERR_LFS_PULL' }
+          ));
           return 'lfs-error';
         }
 
         // Check again after pull
         if (await this.gitLfsDetector.isGitLfsPointer(inputPath)) {
           this.logger.log(`❌ Failed to pull LFS file: ${filename}`);
+          this.failures.set(filename, Object.assign(
+            new Error(`Git LFS pull left a pointer file for ${filename}`),
+            { code: 'ERR_LFS_PULL' }
+          ));
           return 'lfs-error';
         }
       } else {
@@ -77,16 +101,12 @@ class ImageOptimizer {
       }
     }
 
-    // Generate output paths based on config
-    const paths = this.generateConfiguredPaths(filename);
-    const outputPaths = Object.values(paths);
+    // Generate output paths based on config and rule overrides
+    const settings = this.getEffectiveSettings(options, filename);
+    const outputPaths = this.getOutputPaths(filename, options);
 
     // Check if processing is needed
-    const needsProcessing = await this.timestampChecker.shouldProcess(
-      inputPath, 
-      outputPaths, 
-      options.forceReprocess
-    );
+    const needsProcessing = await this.needsProcessing(inputPath, filename, outputPaths, settings, options);
 
     if (!needsProcessing) {
       this.logger.log(`⏭️  Skipping ${filename} (already up to date)`);
@@ -100,73 +120,336 @@ class ImageOptimizer {
       
       // Handle special cases
       if (ext === '.gif') {
-        await this.fileOperations.copyFile(inputPath, path.join(this.config.outputDir, filename));
-        this.logger.log(`✅ Copied ${filename} (GIF files are not optimized)`);
-        return 'processed';
+        return await this.optimizeGif(inputPath, filename, settings);
       }
 
 
-      // Generate output paths and processing configs
-      const paths = this.pathGenerator.generatePaths(filename);
-      const configs = this.processingConfigGenerator ? 
-        this.processingConfigGenerator.generate(filename, paths, this.config) :
-        this.getProcessingConfigs(filename, inputPath);
+      const configs = this.getImageConfigs(filename, settings);
       
       if (configs.length > 0) {
         // Ensure output directory exists
         const outputDir = path.dirname(configs[0].outputPath);
         await fs.mkdir(outputDir, { recursive: true });
         
-        const results = await this.imageProcessor.processImage(inputPath, configs);
+        const results = await this.imageProcessor.processImage(inputPath, configs, {
+          preserveMetadata: settings.preserveMetadata
+        });
         const failed = results.filter(r => !r.success);
         if (failed.length > 0) {
-          throw new Error(`Failed to process ${filename}: ${failed[0].error}`);
+          throw Object.assign(
+            new Error(`Failed to process ${filename}: ${failed[0].error}`, { cause: failed[0].cause }),
+            { code: failed[0].code }
+          );
         }
         this.logger.log(`✅ Optimized ${filename}`);
       }
       
+      if (this.placeholderGenerator) {
+        await this.writePlaceholder(inputPath, filename);
+      }
+      
+      await this.recordProcessed(inputPath, settings);
+      
       return 'processed';
     } catch (error) {
       this.logger.error(`❌ Error processing ${filename}: ${error.message}`);
+      this.failures.set(filename, error);
       return 'error';
     }
   }
   
-  generateConfiguredPaths(filename) {
+  /**
+   * The error behind the last 'error' or 'lfs-error' result for a file
+   * @param {string} filename - Relative path passed to optimizeImage()
+   * @returns {Error|undefined} Forgotten once taken
+   */
+  takeFailure(filename) {
+    const error = this.failures.get(filename);
+    this.failures.delete(filename);
+    return error;
+  }
+  
+  async readMetadata(inputPath) {
+    try {
+      const [metadata, stats] = await Promise.all([
+        this.imageProcessor.readMetadata(inputPath),
+        fs.stat(inputPath)
+      ]);
+      return { ...metadata, fileSize: stats.size };
+    } catch {
+      // Git LFS pointers and unreadable files have no dimensions yet
+      return null;
+    }
+  }
+  
+  async planImage(inputPath, filename, options = {}) {
+    const settings = this.getEffectiveSettings(options, filename);
+    const plan = {
+      file: filename,
+      action: 'process',
+      quality: settings.quality,
+      outputs: []
+    };
+    
+    // Mirrors the checks in optimizeImage without pulling or writing anything
+    if (options.skip) {
+      return { ...plan, action: 'skip', reason: 'skipped by rule' };
+    }
+    if (await this.gitLfsDetector.isGitLfsPointer(inputPath)) {
+      if (!options.pullLfs) {
+        return { ...plan, action: 'skip', reason: 'Git LFS pointer' };
+      }
+      // The real content is unknown until pulled, so it is always processed
+      plan.action = 'pull-lfs';
+    } else if (!await this.needsProcessing(inputPath, filename, this.getOutputPaths(filename, options), settings, options)) {
+      return { ...plan, action: 'skip', reason: 'up to date' };
+    }
+    
+    plan.outputs = this.getPlannedOutputs(filename, settings);
+    return plan;
+  }
+  
+  /**
+   * Every file optimizeImage() writes for an image, taken from the same
+   * processing configs it encodes, so change detection, the manifest and
+   * pruning always agree with what is on disk
+   * @param {string} filename - Path relative to the input directory
+   * @param {Object} settings - getEffectiveSettings() for the image
+   * @returns {Array<Object>} { path, format, quality, width } per output
+   */
+  getPlannedOutputs(filename, settings) {
+    let configs;
+    if (path.extname(filename).toLowerCase() === '.gif') {
+      if (this.getGifSettings().mode === 'copy') {
+        return [{ path: path.join(this.config.outputDir, filename), format: 'gif' }];
+      }
+      configs = this.getGifProcessingConfigs(filename, settings);
+    } else {
+      configs = this.getImageConfigs(filename, settings);
+    }
+    
+    const outputs = configs.map(config => ({
+      path: config.outputPath,
+      format: config.format,
+      quality: config.options.quality,
+      width: config.width
+    }));
+    
+    if (this.placeholderGenerator) {
+      outputs.push({ path: this.getPlaceholderPath(filename), format: 'placeholder' });
+    }
+    
+    return outputs;
+  }
+  
+  getImageConfigs(filename, settings) {
+    const paths = this.pathGenerator.generatePaths(filename, '', this.config.breakpoints || []);
+    return this.processingConfigGenerator ? 
+      this.processingConfigGenerator.generate(filename, paths, { ...this.config, ...settings }) :
+      this.getProcessingConfigs(filename);
+  }
+  
+  async optimizeGif(inputPath, filename, settings) {
+    const gifSettings = this.getGifSettings();
+    
+    if (gifSettings.mode === 'copy') {
+      await this.imageProcessor.writeAtomically(
+        path.join(this.config.outputDir, filename),
+        tempPath => this.fileOperations.copyFile(inputPath, tempPath)
+      );
+      await this.recordProcessed(inputPath, settings);
+      this.logger.log(`✅ Copied ${filename} (GIF conversion disabled)`);
+      return 'processed';
+    }
+    
+    const configs = this.getGifProcessingConfigs(filename, settings);
+    const results = await this.imageProcessor.processImage(inputPath, configs, {
+      preserveMetadata: settings.preserveMetadata
+    });
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) {
+      throw Object.assign(
+        new Error(`Failed to convert ${filename}: ${failed[0].error}`, { cause: failed[0].cause }),
+        { code: failed[0].code }
+      );
+    }
+    
+    if (this.placeholderGenerator) {
+      await this.writePlaceholder(inputPath, filename);
+    }
+    
+    await this.recordProcessed(inputPath, settings);
+    this.logger.log(`✅ Converted ${filename} to animated ${gifSettings.formats.join('/')}`);
+    return 'processed';
+  }
+  
+  getGifSettings() {
+    return {
+      mode: 'convert',
+      formats: ['webp'],
+      ...this.config.gif
+    };
+  }
+  
+  getGifProcessingConfigs(filename, settings) {
+    const paths = this.generateGifPaths(filename, settings);
+    const resize = settings.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' };
+    const configs = [];
+    
+    // Frame delays and loop count carry over from the animated input
+    if (paths.webp) {
+      configs.push({
+        outputPath: paths.webp,
+        format: 'webp',
+        options: { quality: settings.quality.webp || 85 },
+        resize,
+        animated: true
+      });
+    }
+    
+    // libheif cannot encode image sequences, so AVIF gets the first frame only
+    if (paths.avif) {
+      configs.push({
+        outputPath: paths.avif,
+        format: 'avif',
+        options: { quality: settings.quality.avif || 80 },
+        resize
+      });
+    }
+    
+    if (paths.thumbnail) {
+      configs.push({
+        outputPath: paths.thumbnail,
+        format: 'webp',
+        options: { quality: 70 },
+        resize: {
+          width: settings.thumbnailWidth || 200,
+          height: settings.thumbnailWidth || 200,
+          withoutEnlargement: true,
+          fit: 'cover'
+        }
+      });
+    }
+    
+    return configs;
+  }
+  
+  generateGifPaths(filename, settings = this.config) {
     const name = path.parse(filename).name;
-    const ext = path.parse(filename).ext.toLowerCase();
+    const outputDir = path.join(this.config.outputDir, path.dirname(filename));
+    const { formats } = this.getGifSettings();
     const paths = {};
     
-    // Generate paths based on configured formats
-    if (this.config.formats.includes('webp')) {
-      paths.webp = path.join(this.config.outputDir, `${name}.webp`);
+    for (const format of formats) {
+      paths[format] = path.join(outputDir, `${name}.${format}`);
     }
     
-    if (this.config.formats.includes('avif')) {
-      paths.avif = path.join(this.config.outputDir, `${name}.avif`);
+    if (settings.generateThumbnails) {
+      paths.thumbnail = path.join(outputDir, `${name}-thumb.webp`);
     }
     
-    if (this.config.formats.includes('original') || 
-        this.config.formats.includes('jpeg') || 
-        this.config.formats.includes('png')) {
-      // Determine output extension
-      let outputExt = ext;
-      if (ext === '.jpeg' || ext === '.jpg') {
-        outputExt = this.config.formats.includes('jpeg') ? '.jpg' : ext;
-      } else if (ext === '.png') {
-        outputExt = '.png';
-      }
-      paths.original = path.join(this.config.outputDir, `${name}${outputExt}`);
+    return paths;
+  }
+  
+  getPlaceholderPath(filename) {
+    const { dir, name } = path.parse(filename);
+    return path.join(this.config.outputDir, dir, `${name}.placeholder.json`);
+  }
+  
+  async needsProcessing(inputPath, filename, outputPaths, settings, options = {}) {
+    // Content hashes cover both source and settings changes
+    if (this.hashChecker && this.hashChecker.compareContent) {
+      return this.hashChecker.shouldProcess(inputPath, outputPaths, options.forceReprocess, settings);
     }
     
-    if (this.config.generateThumbnails) {
-      paths.thumbnail = path.join(this.config.outputDir, `${name}-thumb.webp`);
+    if (await this.timestampChecker.shouldProcess(inputPath, outputPaths, options.forceReprocess)) {
+      return true;
     }
     
-    return paths;
+    // Outputs are newer than the source, but may have been built with other settings
+    if (this.hashChecker && await this.hashChecker.settingsChanged(inputPath, settings)) {
+      this.logger.log(`🔧 Settings changed for ${filename}, regenerating`);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  getEffectiveSettings(options = {}, filename = '') {
+    // Everything that influences the generated bytes for a single image,
+    // with overrides from quality rules taking precedence over the config
+    const override = key => options[key] !== undefined ? options[key] : this.config[key];
+    
+    return {
+      formats: override('formats'),
+      quality: { ...this.config.quality, ...options.quality },
+      breakpoints: this.config.breakpoints || [],
+      generateThumbnails: override('generateThumbnails'),
+      thumbnailWidth: override('thumbnailWidth'),
+      preserveMetadata: override('preserveMetadata'),
+      // Rule-only settings are left out unless set, so existing settings hashes still match
+      lossless: options.lossless || undefined,
+      resize: options.maxDimension
+        ? { width: options.maxDimension, height: options.maxDimension, withoutEnlargement: true, fit: 'inside' }
+        : undefined,
+      placeholders: this.config.placeholders,
+      // Only GIFs depend on the GIF settings
+      gif: path.extname(filename).toLowerCase() === '.gif' ? this.getGifSettings() : undefined
+    };
+  }
+  
+  async writePlaceholder(inputPath, filename) {
+    // Called once the image variants are renamed into place, so a sidecar
+    // never describes outputs that were not written
+    const placeholder = await this.placeholderGenerator.generate(inputPath);
+    const content = JSON.stringify(placeholder, null, 2) + '\n';
+    await this.imageProcessor.writeAtomically(
+      this.getPlaceholderPath(filename),
+      tempPath => fs.writeFile(tempPath, content)
+    );
+  }
+  
+  async readPlaceholder(filename) {
+    if (!this.placeholderGenerator) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(await fs.readFile(this.getPlaceholderPath(filename), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+  
+  async recordProcessed(inputPath, settings) {
+    if (this.hashChecker) {
+      await this.hashChecker.recordProcessed(inputPath, settings);
+    }
+  }
+  
+  getRecordedHash(inputPath) {
+    return this.hashChecker && this.hashChecker.compareContent
+      ? this.hashChecker.getRecordedHash(inputPath)
+      : null;
+  }
+  
+  async saveCache() {
+    if (this.hashChecker) {
+      await this.hashChecker.save();
+    }
+  }
+  
+  getOutputPaths(filename, options = {}) {
+    // Images skipped by a rule produce nothing
+    if (options.skip) {
+      return [];
+    }
+    
+    const settings = this.getEffectiveSettings(options, filename);
+    return this.getPlannedOutputs(filename, settings).map(output => output.path);
   }
   
-  getProcessingConfigs(filename, _inputPath) {
+  getProcessingConfigs(filename) {
     const name = path.parse(filename).name;
     const ext = path.parse(filename).ext.toLowerCase();
     const configs = [];
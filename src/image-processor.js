@@ -1,32 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const MetadataFilter = require('./metadata-filter');
+
+// Temp files of encodes in progress, across instances, so a signal handler
+// can remove them all
+const pendingTempFiles = new Set();
+let tempFileCounter = 0;
+
 class ImageProcessor {
-  constructor(sharp, config = {}) {
+  constructor(sharp, config = {}, dependencies = {}) {
     this.sharp = sharp;
     this.config = config;
+    this.fs = dependencies.fs || fs.promises;
+    this.metadataFilter = new MetadataFilter(
+      typeof config.preserveMetadata === 'object' ? config.preserveMetadata : {}
+    );
+  }
+
+  /**
+   * Read image metadata with width and height as the image is displayed
+   * @param {string} inputPath - Path to the image file
+   * @returns {Promise<Object>} Sharp metadata plus the EXIF camera model
+   */
+  async readMetadata(inputPath) {
+    const metadata = await this.sharp(inputPath).metadata();
+    const result = { ...metadata, cameraModel: this.readCameraModel(metadata.exif) };
+    
+    // EXIF orientations 5-8 are rotated by 90 degrees, and processImage()
+    // applies the rotation, so rules must see the swapped dimensions
+    if (metadata.orientation >= 5) {
+      return { ...result, width: metadata.height, height: metadata.width };
+    }
+    return result;
   }
 
-  async processImage(inputPath, outputConfigs) {
+  readCameraModel(exif) {
+    if (!exif) {
+      return undefined;
+    }
+    
+    try {
+      return this.metadataFilter.readTags(exif).Model;
+    } catch {
+      // Malformed EXIF just means no camera to match on
+      return undefined;
+    }
+  }
+
+  async processImage(inputPath, outputConfigs, options = {}) {
     // Create base image processor
     let image = this.sharp(inputPath).rotate();
     
+    // Quality rules can set a metadata policy for a single image
+    const preserveMetadata = options.preserveMetadata !== undefined
+      ? options.preserveMetadata
+      : this.config.preserveMetadata;
+    
     // Apply metadata configuration
-    if (this.config.preserveMetadata === false) {
+    if (preserveMetadata === false) {
       // Don't add withMetadata - Sharp strips by default
-    } else if (this.config.preserveMetadata === true) {
+    } else if (preserveMetadata === true) {
       // Preserve all metadata
       image = image.withMetadata();
-    } else if (typeof this.config.preserveMetadata === 'object') {
-      // Selective preservation - for now, treat as preserve all
-      // TODO: Implement selective preservation
+    } else if (typeof preserveMetadata === 'object' && preserveMetadata.all) {
       image = image.withMetadata();
+    } else if (typeof preserveMetadata === 'object') {
+      // Selective preservation - write back only the chosen EXIF tags and
+      // XMP properties. sharp cannot write IPTC, so that block is stripped.
+      const { exif, xmp } = await image.metadata();
+      const metadataFilter = preserveMetadata === this.config.preserveMetadata
+        ? this.metadataFilter
+        : new MetadataFilter(preserveMetadata);
+      const selectedExif = metadataFilter.selectExif(exif);
+      if (selectedExif) {
+        image = image.withExif(selectedExif);
+      }
+      const selectedXmp = metadataFilter.selectXmp(xmp);
+      if (selectedXmp) {
+        image = image.withXmp(selectedXmp);
+      }
     } else {
       // Default behavior - strip metadata
     }
 
     const results = [];
+    const tempPaths = [];
+    let animatedImage = null;
     
+    // Every variant is encoded to a temp file next to its output and renamed
+    // into place only once all of them succeeded, so an interrupted or failed
+    // run never leaves a truncated output with a fresh mtime
     for (const config of outputConfigs) {
+      const tempPath = this.getTempPath(config.outputPath);
+      pendingTempFiles.add(tempPath);
+      tempPaths.push(tempPath);
+      
       try {
-        const processor = image.clone();
+        // Animated outputs need every frame loaded, not just the first
+        if (config.animated && !animatedImage) {
+          animatedImage = this.sharp(inputPath, { animated: true });
+        }
+        const processor = (config.animated ? animatedImage : image).clone();
         
         if (config.resize) {
           processor.resize(config.resize.width, config.resize.height, {
@@ -35,15 +109,84 @@ class ImageProcessor {
           });
         }
 
-        await processor[config.format](config.options).toFile(config.outputPath);
+        await processor[config.format](config.options).toFile(tempPath);
         results.push({ path: config.outputPath, success: true });
       } catch (error) {
-        results.push({ path: config.outputPath, success: false, error: error.message });
+        results.push({ path: config.outputPath, success: false, error: error.message, code: error.code, cause: error });
+      }
+    }
+    
+    if (results.every(result => result.success)) {
+      for (const [index, result] of results.entries()) {
+        try {
+          await this.fs.rename(tempPaths[index], result.path);
+          pendingTempFiles.delete(tempPaths[index]);
+        } catch (error) {
+          Object.assign(result, { success: false, error: error.message, code: error.code, cause: error });
+          break;
+        }
       }
     }
+    
+    await this.removeTempFiles(tempPaths);
 
     return results;
   }
+
+  /**
+   * Write a single file the way processImage() writes variants: to a temp
+   * file next to it, renamed into place only once complete
+   * @param {string} outputPath - Final path of the file
+   * @param {Function} write - Writes the content to the temp path it is passed
+   */
+  async writeAtomically(outputPath, write) {
+    const tempPath = this.getTempPath(outputPath);
+    pendingTempFiles.add(tempPath);
+
+    try {
+      await write(tempPath);
+      await this.fs.rename(tempPath, outputPath);
+      pendingTempFiles.delete(tempPath);
+    } finally {
+      await this.removeTempFiles([tempPath]);
+    }
+  }
+
+  getTempPath(outputPath) {
+    // Same directory, so the rename cannot cross file systems; hidden and
+    // ignored by git and the output pruner
+    const { dir, base } = path.parse(outputPath);
+    return path.join(dir, `.${base}.${process.pid}-${++tempFileCounter}.tmp`);
+  }
+
+  async removeTempFiles(tempPaths) {
+    for (const tempPath of tempPaths) {
+      if (!pendingTempFiles.has(tempPath)) {
+        continue;
+      }
+      pendingTempFiles.delete(tempPath);
+      try {
+        await this.fs.unlink(tempPath);
+      } catch {
+        // Never written, e.g. when encoding failed early
+      }
+    }
+  }
+
+  /**
+   * Delete the temp files of every encode still in progress. Synchronous so
+   * it can run in a signal handler right before the process exits
+   */
+  static removePendingTempFiles() {
+    for (const tempPath of pendingTempFiles) {
+      try {
+        fs.unlinkSync(tempPath);
+      } catch {
+        // Not written yet
+      }
+    }
+    pendingTempFiles.clear();
+  }
 }
 
 module.exports = ImageProcessor;
\ No newline at end of file
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+class ManifestManager {
+  constructor(options = {}, dependencies = {}) {
+    // Inject dependencies with defaults
+    this.fs = dependencies.fs || require('fs').promises;
+    this.path = dependencies.path || require('path');
+    this.sharp = dependencies.sharp || require('sharp');
+
+    this.manifestPath = options.manifestPath || 'optimized/manifest.json';
+    this.logger = options.logger || console;
+    this.images = {};
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      const content = await this.fs.readFile(this.manifestPath, 'utf8');
+      const manifest = JSON.parse(content);
+
+      if (manifest.version !== '1.0') {
+        this.logger.warn('Manifest version mismatch, rebuilding manifest');
+        this.images = {};
+        this.dirty = true;
+        return this.images;
+      }
+
+      this.images = manifest.images || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to load manifest:', error.message);
+      }
+      this.images = {};
+    }
+
+    return this.images;
+  }
+
+  async save() {
+    if (!this.dirty) {
+      return;
+    }
+
+    // Sort keys so the manifest diffs cleanly between runs
+    const images = {};
+    for (const key of Object.keys(this.images).sort()) {
+      images[key] = this.images[key];
+    }
+
+    const manifest = {
+      version: '1.0',
+      images
+    };
+
+    await this.fs.mkdir(this.path.dirname(this.manifestPath), { recursive: true });
+    await this.fs.writeFile(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    this.dirty = false;
+  }
+
+  hasEntry(sourceKey) {
+    return Object.prototype.hasOwnProperty.call(this.images, this.toPosix(sourceKey));
+  }
+
+  getEntry(sourceKey) {
+    return this.images[this.toPosix(sourceKey)];
+  }
+
+  async updateEntry(file, inputPath, outputPaths, placeholder = null) {
+    const sourceKey = this.toPosix(file);
+    const sourceStats = await this.fs.stat(inputPath);
+    const outputs = [];
+
+    for (const outputPath of outputPaths) {
+      const output = await this.describeOutput(outputPath);
+      if (output) {
+        outputs.push(output);
+      }
+    }
+
+    const entry = {
+      ...this.images[sourceKey],
+      source: this.toPosix(inputPath),
+      sourceMtime: sourceStats.mtime.toISOString(),
+      outputs
+    };
+    if (placeholder) {
+      entry.placeholder = placeholder;
+    } else {
+      delete entry.placeholder;
+    }
+
+    this.images[sourceKey] = entry;
+    this.dirty = true;
+
+    return entry;
+  }
+
+  async describeOutput(outputPath) {
+    let content;
+    try {
+      content = await this.fs.readFile(outputPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // The paths are the ones just written, so this is worth reporting
+        this.logger.log(`⚠️  Output missing, left out of the manifest: ${outputPath}`);
+        return null;
+      }
+      throw error;
+    }
+
+    let width = null;
+    let height = null;
+    try {
+      const metadata = await this.sharp(content).metadata();
+      width = metadata.width || null;
+      height = metadata.height || null;
+    } catch {
+      // Not decodable - record the file without dimensions
+    }
+
+    return {
+      path: this.toPosix(outputPath),
+      format: this.getFormat(outputPath),
+      width,
+      height,
+      bytes: content.length,
+      hash: crypto.createHash('sha256').update(content).digest('hex')
+    };
+  }
+
+  removeEntry(file) {
+    const sourceKey = this.toPosix(file);
+    if (this.hasEntry(sourceKey)) {
+      delete this.images[sourceKey];
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Drop entries whose source is no longer among the discovered images
+   */
+  prune(sourceKeys) {
+    const current = new Set(sourceKeys.map(key => this.toPosix(key)));
+    const removed = [];
+
+    for (const key of Object.keys(this.images)) {
+      if (!current.has(key)) {
+        this.removeEntry(key);
+        removed.push(key);
+      }
+    }
+
+    return removed;
+  }
+
+  getFormat(outputPath) {
+    const ext = this.path.extname(outputPath).slice(1).toLowerCase();
+    return ext === 'jpg' ? 'jpeg' : ext;
+  }
+
+  toPosix(filePath) {
+    return filePath.split(this.path.sep).join('/');
+  }
+}
+
+module.exports = ManifestManager;
@@ -0,0 +1,266 @@
+// EXIF tags kept by each preserveMetadata field, grouped by the IFD sharp's
+// withExif() writes them to (IFD0 = image, IFD2 = Exif, IFD3 = GPS).
+// Names are the libexif tag names libvips expects.
+const TAGS = {
+  IFD0: {
+    0x010F: { name: 'Make', field: 'camera' },
+    0x0110: { name: 'Model', field: 'camera' },
+    0x0132: { name: 'DateTime', field: 'datetime' },
+    0x013B: { name: 'Artist', field: 'creator' },
+    0x8298: { name: 'Copyright', field: 'copyright' }
+  },
+  IFD2: {
+    0x829A: { name: 'ExposureTime', field: 'camera' },
+    0x829D: { name: 'FNumber', field: 'camera' },
+    0x8827: { name: 'ISOSpeedRatings', field: 'camera' },
+    0x9003: { name: 'DateTimeOriginal', field: 'datetime' },
+    0x9004: { name: 'DateTimeDigitized', field: 'datetime' },
+    0x920A: { name: 'FocalLength', field: 'camera' },
+    0xA433: { name: 'LensMake', field: 'camera' },
+    0xA434: { name: 'LensModel', field: 'camera' }
+  },
+  IFD3: {
+    0x0000: { name: 'GPSVersionID', field: 'gps' },
+    0x0001: { name: 'GPSLatitudeRef', field: 'gps' },
+    0x0002: { name: 'GPSLatitude', field: 'gps' },
+    0x0003: { name: 'GPSLongitudeRef', field: 'gps' },
+    0x0004: { name: 'GPSLongitude', field: 'gps' },
+    0x0005: { name: 'GPSAltitudeRef', field: 'gps' },
+    0x0006: { name: 'GPSAltitude', field: 'gps' },
+    0x0007: { name: 'GPSTimeStamp', field: 'gps' },
+    0x0012: { name: 'GPSMapDatum', field: 'gps' },
+    0x001D: { name: 'GPSDateStamp', field: 'gps' }
+  }
+};
+
+// XMP properties kept by each preserveMetadata field. Editors often record
+// credits only here, e.g. Lightroom's copyright and creator fields
+const XMP_PROPERTIES = [
+  { namespace: 'http://purl.org/dc/elements/1.1/', name: 'rights', field: 'copyright' },
+  { namespace: 'http://purl.org/dc/elements/1.1/', name: 'creator', field: 'creator' }
+];
+
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8 };
+
+class MetadataFilter {
+  constructor(preserveMetadata = {}) {
+    this.preserveMetadata = preserveMetadata;
+  }
+
+  /**
+   * Build a withExif() object holding only the fields enabled in preserveMetadata
+   * @param {Buffer} exifBuffer - Raw EXIF block from sharp's metadata()
+   * @returns {Object|null} IFD-keyed tag values, or null when nothing is kept
+   */
+  selectExif(exifBuffer) {
+    if (!exifBuffer) {
+      return null;
+    }
+
+    let ifds;
+    try {
+      ifds = this.readExif(exifBuffer);
+    } catch {
+      // Malformed EXIF - keep nothing rather than leaking unfiltered data
+      return null;
+    }
+
+    const selected = {};
+    for (const ifd of Object.keys(TAGS)) {
+      for (const [tag, value] of Object.entries(ifds[ifd] || {})) {
+        const definition = TAGS[ifd][tag];
+        if (definition && this.preserveMetadata[definition.field] && value !== null) {
+          selected[ifd] = selected[ifd] || {};
+          selected[ifd][definition.name] = value;
+        }
+      }
+    }
+
+    return Object.keys(selected).length > 0 ? selected : null;
+  }
+
+  /**
+   * Build a withXmp() packet holding only the properties of the fields
+   * enabled in preserveMetadata, copied verbatim from the source packet
+   * @param {Buffer} xmpBuffer - Raw XMP packet from sharp's metadata()
+   * @returns {string|null} XMP packet, or null when nothing is kept
+   */
+  selectXmp(xmpBuffer) {
+    if (!xmpBuffer) {
+      return null;
+    }
+
+    const xmp = xmpBuffer.toString('utf8');
+    const rdf = this.findXmpPrefix(xmp, RDF_NAMESPACE);
+    if (!rdf) {
+      // Not RDF - keep nothing rather than leaking unfiltered data
+      return null;
+    }
+
+    const namespaces = new Map();
+    const properties = [];
+    for (const { namespace, name, field } of XMP_PROPERTIES) {
+      const prefix = this.preserveMetadata[field] && this.findXmpPrefix(xmp, namespace);
+      if (!prefix) {
+        continue;
+      }
+      // Credits are rdf:Alt or rdf:Seq elements, never attributes
+      const pattern = new RegExp(`<${prefix}:${name}[\\s>][\\s\\S]*?</${prefix}:${name}>`, 'g');
+      for (const [element] of xmp.matchAll(pattern)) {
+        namespaces.set(prefix, namespace);
+        properties.push(element);
+      }
+    }
+
+    if (properties.length === 0) {
+      return null;
+    }
+
+    const declarations = [...namespaces].map(([prefix, namespace]) => ` xmlns:${prefix}="${namespace}"`).join('');
+    return '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+      `<${rdf}:RDF xmlns:${rdf}="${RDF_NAMESPACE}">` +
+      `<${rdf}:Description ${rdf}:about=""${declarations}>${properties.join('')}</${rdf}:Description>` +
+      `</${rdf}:RDF></x:xmpmeta>`;
+  }
+
+  findXmpPrefix(xmp, namespace) {
+    const escaped = namespace.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const match = xmp.match(new RegExp(`xmlns:([\\w.-]+)=["']${escaped}["']`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Read the tags this filter knows about, keyed by tag name
+   * @param {Buffer} exifBuffer - Raw EXIF block from sharp's metadata()
+   * @returns {Object} e.g. { Copyright: '(c) Jane', GPSLatitude: '51/1 30/1 0/1' }
+   */
+  readTags(exifBuffer) {
+    const ifds = this.readExif(exifBuffer);
+    const tags = {};
+
+    for (const ifd of Object.keys(TAGS)) {
+      for (const [tag, value] of Object.entries(ifds[ifd] || {})) {
+        const definition = TAGS[ifd][tag];
+        if (definition && value !== null) {
+          tags[definition.name] = value;
+        }
+      }
+    }
+
+    return tags;
+  }
+
+  readExif(buffer) {
+    // sharp prefixes the TIFF structure with the APP1 "Exif\0\0" marker
+    const start = buffer.toString('latin1', 0, 4) === 'Exif' ? 6 : 0;
+    const tiff = buffer.subarray(start);
+
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      throw new Error('Invalid TIFF header');
+    }
+    const littleEndian = byteOrder === 'II';
+    const reader = { tiff, littleEndian };
+
+    const ifd0 = this.readIfd(reader, this.readUInt32(reader, 4));
+    const ifds = { IFD0: ifd0.values };
+
+    if (ifd0.pointers[EXIF_IFD_POINTER]) {
+      ifds.IFD2 = this.readIfd(reader, ifd0.pointers[EXIF_IFD_POINTER]).values;
+    }
+    if (ifd0.pointers[GPS_IFD_POINTER]) {
+      ifds.IFD3 = this.readIfd(reader, ifd0.pointers[GPS_IFD_POINTER]).values;
+    }
+
+    return ifds;
+  }
+
+  readIfd(reader, offset) {
+    const values = {};
+    const pointers = {};
+    const count = this.readUInt16(reader, offset);
+
+    for (let i = 0; i < count; i++) {
+      const entryOffset = offset + 2 + i * 12;
+      const tag = this.readUInt16(reader, entryOffset);
+      const type = this.readUInt16(reader, entryOffset + 2);
+      const components = this.readUInt32(reader, entryOffset + 4);
+
+      if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+        pointers[tag] = this.readUInt32(reader, entryOffset + 8);
+        continue;
+      }
+
+      const size = (TYPE_SIZES[type] || 0) * components;
+      if (size === 0) {
+        continue;
+      }
+      const valueOffset = size <= 4 ? entryOffset + 8 : this.readUInt32(reader, entryOffset + 8);
+      values[tag] = this.formatValue(reader, type, components, valueOffset);
+    }
+
+    return { values, pointers };
+  }
+
+  /**
+   * Convert a TIFF value to the string form libvips parses back into EXIF
+   */
+  formatValue(reader, type, components, offset) {
+    const { tiff, littleEndian } = reader;
+
+    if (type === 2) {
+      return tiff.toString('latin1', offset, offset + components).replace(/\0+$/, '');
+    }
+
+    const parts = [];
+    for (let i = 0; i < components; i++) {
+      switch (type) {
+        case 1:
+          parts.push(tiff.readUInt8(offset + i));
+          break;
+        case 3:
+          parts.push(this.readUInt16(reader, offset + i * 2));
+          break;
+        case 4:
+          parts.push(this.readUInt32(reader, offset + i * 4));
+          break;
+        case 5:
+          parts.push(`${this.readUInt32(reader, offset + i * 8)}/${this.readUInt32(reader, offset + i * 8 + 4)}`);
+          break;
+        case 8:
+          parts.push(littleEndian ? tiff.readInt16LE(offset + i * 2) : tiff.readInt16BE(offset + i * 2));
+          break;
+        case 9:
+          parts.push(littleEndian ? tiff.readInt32LE(offset + i * 4) : tiff.readInt32BE(offset + i * 4));
+          break;
+        case 10: {
+          const numerator = littleEndian ? tiff.readInt32LE(offset + i * 8) : tiff.readInt32BE(offset + i * 8);
+          const denominator = littleEndian ? tiff.readInt32LE(offset + i * 8 + 4) : tiff.readInt32BE(offset + i * 8 + 4);
+          parts.push(`${numerator}/${denominator}`);
+          break;
+        }
+        default:
+          // SBYTE and UNDEFINED carry opaque data we never preserve
+          return null;
+      }
+    }
+
+    return parts.join(' ');
+  }
+
+  readUInt16(reader, offset) {
+    return reader.littleEndian ? reader.tiff.readUInt16LE(offset) : reader.tiff.readUInt16BE(offset);
+  }
+
+  readUInt32(reader, offset) {
+    return reader.littleEndian ? reader.tiff.readUInt32LE(offset) : reader.tiff.readUInt32BE(offset);
+  }
+}
+
+module.exports = MetadataFilter;
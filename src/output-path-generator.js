@@ -5,7 +5,7 @@ class OutputPathGenerator {
     this.outputDir = outputDir;
   }
 
-  generatePaths(filename, relativePath = '') {
+  generatePaths(filename, relativePath = '', breakpoints = []) {
     // Handle subdirectories in filename
     const dir = path.dirname(filename);
     const name = path.parse(filename).name;
@@ -15,12 +15,26 @@ class OutputPathGenerator {
     const outputSubDir = (dir && dir !== '.') ? dir : (relativePath ? path.dirname(relativePath) : '');
     const fullOutputDir = path.join(this.outputDir, outputSubDir);
 
-    return {
+    const paths = {
       webp: path.join(fullOutputDir, `${name}.webp`),
       avif: path.join(fullOutputDir, `${name}.avif`),
       original: path.join(fullOutputDir, `${name}${ext === '.png' ? '.png' : '.jpg'}`),
       thumbnail: path.join(fullOutputDir, `${name}-thumb.webp`)
     };
+
+    // Responsive variants are keyed by width, e.g. name-640.webp
+    if (breakpoints.length > 0) {
+      paths.variants = {};
+      for (const width of breakpoints) {
+        paths.variants[width] = {
+          webp: path.join(fullOutputDir, `${name}-${width}.webp`),
+          avif: path.join(fullOutputDir, `${name}-${width}.avif`),
+          original: path.join(fullOutputDir, `${name}-${width}${ext === '.png' ? '.png' : '.jpg'}`)
+        };
+      }
+    }
+
+    return paths;
   }
 
   generateRelativePath(inputPath, baseDir) {
@@ -0,0 +1,128 @@
+const path = require('path');
+
+// Only files the optimizer could have written are candidates for removal
+const OUTPUT_FILE = /(\.(webp|avif|jpg|jpeg|png|gif)|\.placeholder\.json)$/i;
+
+class OutputPruner {
+  constructor(options = {}, dependencies = {}) {
+    // Inject dependencies with defaults
+    this.fs = dependencies.fs || require('fs').promises;
+
+    this.outputDir = options.outputDir || 'optimized';
+    this.protectedPaths = new Set((options.protectedPaths || []).map(file => path.resolve(file)));
+  }
+
+  /**
+   * Remove output files that no current source image would produce
+   * @param {Iterable<string>} expectedPaths - Output paths for every current source image
+   * @param {Object} options - { dryRun } reports without deleting anything,
+   *   { directory } limits pruning to one directory below outputDir
+   * @returns {Promise<Object>} { files, directories } that were (or would be) removed
+   */
+  async prune(expectedPaths, options = {}) {
+    const expected = new Set([...expectedPaths].map(file => path.resolve(file)));
+    const result = { files: [], directories: [] };
+
+    try {
+      await this.scan(options.directory || this.outputDir, expected, result);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return result;
+    }
+
+    if (!options.dryRun) {
+      for (const file of result.files) {
+        await this.fs.unlink(file);
+      }
+      // Directories are collected children first, so each one is empty by now
+      for (const directory of result.directories) {
+        await this.fs.rmdir(directory);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove the given outputs of a single image and any directories they leave empty
+   * @param {Array<string>} outputPaths - Output files of the image
+   * @returns {Promise<Array<string>>} Files that existed and were removed
+   */
+  async removeOutputs(outputPaths) {
+    const removed = [];
+
+    for (const outputPath of outputPaths) {
+      try {
+        await this.fs.unlink(outputPath);
+        removed.push(outputPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    const directories = [...new Set(outputPaths.map(outputPath => path.dirname(outputPath)))];
+    for (const directory of directories) {
+      await this.removeEmptyParents(directory);
+    }
+
+    return removed;
+  }
+
+  async removeEmptyParents(dir) {
+    const root = path.resolve(this.outputDir);
+    let current = path.resolve(dir);
+
+    while (current !== root && current.startsWith(root + path.sep)) {
+      try {
+        await this.fs.rmdir(current);
+      } catch (error) {
+        // ENOTEMPTY (or EEXIST on some platforms) ends the walk
+        if (error.code !== 'ENOENT') {
+          return;
+        }
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  async scan(dir, expected, result) {
+    const entries = await this.fs.readdir(dir, { withFileTypes: true });
+    let remaining = 0;
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      // Dotfiles such as .image-cache.json and .gitkeep are never touched
+      if (entry.name.startsWith('.')) {
+        remaining++;
+      } else if (entry.isDirectory()) {
+        if (!await this.scan(fullPath, expected, result)) {
+          remaining++;
+        }
+      } else if (this.isOrphan(fullPath, expected)) {
+        result.files.push(fullPath);
+      } else {
+        remaining++;
+      }
+    }
+
+    const empty = remaining === 0 && path.resolve(dir) !== path.resolve(this.outputDir);
+    if (empty) {
+      result.directories.push(dir);
+    }
+    return empty;
+  }
+
+  isOrphan(filePath, expected) {
+    const resolved = path.resolve(filePath);
+    return OUTPUT_FILE.test(filePath) &&
+      !expected.has(resolved) &&
+      !this.protectedPaths.has(resolved);
+  }
+}
+
+module.exports = OutputPruner;
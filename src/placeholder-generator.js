@@ -0,0 +1,77 @@
+const { encode } = require('blurhash');
+
+class PlaceholderGenerator {
+  constructor(sharp, options = {}) {
+    this.sharp = sharp;
+    // `true` enables every placeholder type
+    const types = options === true ? {} : options;
+    this.types = {
+      blurhash: types.blurhash !== false,
+      lqip: types.lqip !== false,
+      dominantColor: types.dominantColor !== false
+    };
+    this.lqipWidth = 16;
+    this.blurhashSize = 32;
+  }
+
+  /**
+   * Generate the enabled placeholders for an image
+   * @param {string} inputPath - Source image
+   * @returns {Promise<Object>} { width, height, blurhash?, lqip?, dominantColor? }
+   */
+  async generate(inputPath) {
+    const metadata = await this.sharp(inputPath).metadata();
+    // EXIF orientations 5-8 swap width and height once rotated
+    const rotated = metadata.orientation >= 5;
+    const placeholder = {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+
+    if (this.types.blurhash) {
+      placeholder.blurhash = await this.generateBlurhash(inputPath);
+    }
+    if (this.types.lqip) {
+      placeholder.lqip = await this.generateLqip(inputPath);
+    }
+    if (this.types.dominantColor) {
+      placeholder.dominantColor = await this.generateDominantColor(inputPath);
+    }
+
+    return placeholder;
+  }
+
+  async generateBlurhash(inputPath) {
+    const { data, info } = await this.sharp(inputPath)
+      .rotate()
+      .resize(this.blurhashSize, this.blurhashSize, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // More components along the longer side keep the hash proportional
+    const componentsX = info.width >= info.height ? 4 : 3;
+    const componentsY = info.width >= info.height ? 3 : 4;
+
+    return encode(new Uint8ClampedArray(data), info.width, info.height, componentsX, componentsY);
+  }
+
+  async generateLqip(inputPath) {
+    const buffer = await this.sharp(inputPath)
+      .rotate()
+      .resize(this.lqipWidth, this.lqipWidth, { fit: 'inside' })
+      .webp({ quality: 20 })
+      .toBuffer();
+
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+  }
+
+  async generateDominantColor(inputPath) {
+    const { dominant } = await this.sharp(inputPath).stats();
+    return '#' + [dominant.r, dominant.g, dominant.b]
+      .map(channel => channel.toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+
+module.exports = PlaceholderGenerator;
@@ -16,7 +16,7 @@ class ProcessingConfigGenerator {
       configs.push({
         outputPath: paths.webp,
         format: 'webp',
-        options: { quality: config.quality?.webp || 85 },
+        options: this.getLossyOptions(config, 'webp', 85),
         resize: config.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' }
       });
     }
@@ -26,7 +26,7 @@ class ProcessingConfigGenerator {
       configs.push({
         outputPath: paths.avif,
         format: 'avif',
-        options: { quality: config.quality?.avif || 80 },
+        options: this.getLossyOptions(config, 'avif', 80),
         resize: config.resize || { width: 2000, height: 2000, withoutEnlargement: true, fit: 'inside' }
       });
     }
@@ -46,6 +46,11 @@ class ProcessingConfigGenerator {
       });
     }
     
+    // Responsive variants - one config per breakpoint for each enabled format
+    if (paths.variants) {
+      configs.push(...this.generateVariants(ext, paths.variants, config));
+    }
+    
     // Thumbnail - only generate if enabled and not restricted to original-only
     const isOriginalOnly = config.formats && config.formats.length === 1 && config.formats[0] === 'original';
     if (config.generateThumbnails && !isOriginalOnly) {
@@ -64,6 +69,69 @@ class ProcessingConfigGenerator {
     
     return configs;
   }
+
+  getLossyOptions(config, format, defaultQuality) {
+    const options = { quality: config.quality?.[format] || defaultQuality };
+    // Quality rules can ask for lossless WebP/AVIF, e.g. for transparent PNGs
+    if (config.lossless) {
+      options.lossless = true;
+    }
+    return options;
+  }
+
+  generateVariants(ext, variantPaths, config) {
+    const configs = [];
+    const isJpeg = ext === '.jpg' || ext === '.jpeg';
+    const includeOriginal = config.formats?.includes('original') || 
+      (ext === '.png' && config.formats?.includes('png')) ||
+      (isJpeg && config.formats?.includes('jpeg'));
+    
+    // A rule's maxDimension bounds the variants too: breakpoints wider than
+    // it are dropped, and the rest keep its height limit
+    const bounds = config.resize;
+    const widths = Object.keys(variantPaths).map(Number).filter(width => !bounds || width <= bounds.width);
+    
+    for (const width of widths) {
+      const variant = variantPaths[width];
+      const resize = bounds
+        ? { width, height: bounds.height, withoutEnlargement: true, fit: 'inside' }
+        : { width, withoutEnlargement: true, fit: 'inside' };
+      
+      if (config.formats?.includes('webp') && ext !== '.webp') {
+        configs.push({
+          outputPath: variant.webp,
+          format: 'webp',
+          options: this.getLossyOptions(config, 'webp', 85),
+          resize,
+          width
+        });
+      }
+      
+      if (config.formats?.includes('avif')) {
+        configs.push({
+          outputPath: variant.avif,
+          format: 'avif',
+          options: this.getLossyOptions(config, 'avif', 80),
+          resize,
+          width
+        });
+      }
+      
+      if (includeOriginal) {
+        configs.push({
+          outputPath: variant.original,
+          format: isJpeg ? 'jpeg' : 'png',
+          options: isJpeg 
+            ? { quality: config.quality?.jpeg || 90 } 
+            : { compressionLevel: 9 },
+          resize,
+          width
+        });
+      }
+    }
+    
+    return configs;
+  }
 }
 
 module.exports = ProcessingConfigGenerator;
\ No newline at end of file
@@ -1,3 +1,16 @@
+// Settings a rule can override besides quality; the most specific rule wins
+const RULE_SETTINGS = ['formats', 'maxDimension', 'generateThumbnails', 'thumbnailWidth', 'preserveMetadata', 'lossless', 'skip'];
+
+// Criteria that need the image itself rather than its path
+const SIZE_CRITERIA = ['minWidth', 'minHeight', 'maxWidth', 'maxHeight'];
+const PROPERTY_CRITERIA = [
+  'minAspectRatio', 'maxAspectRatio', 'hasAlpha', 'minFileSize', 'maxFileSize',
+  'inputFormat', 'colorSpace', 'cameraModel', 'orientation'
+];
+
+// sharp reports JPEGs as 'jpeg'
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
 class QualityRulesEngine {
   constructor(rules = [], dependencies = {}) {
     // Inject dependencies with defaults
@@ -5,6 +18,8 @@ class QualityRulesEngine {
     this.path = dependencies.path || require('path');
     
     this.rules = this.sortRulesBySpecificity(rules);
+    // Position in qualityRules, so explanations can point at the config
+    this.ruleIndexes = new Map(rules.map((rule, index) => [rule, index]));
   }
 
   /**
@@ -38,6 +53,41 @@ class QualityRulesEngine {
     return mergedQuality;
   }
 
+  /**
+   * Get every setting the matching rules override for a specific image
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} metadata - Image metadata (width, height, etc.)
+   * @returns {Object} Merged overrides, e.g. { quality: { webp: 95 }, formats: ['avif'] }
+   */
+  getSettingsForImage(imagePath, metadata) {
+    const matchingRules = this.rules.filter(rule => 
+      this.ruleMatches(rule, imagePath, metadata)
+    );
+    
+    // Same order as getQualityForImage: least specific first, so later rules win
+    const settings = {};
+    for (const rule of [...matchingRules].reverse()) {
+      if (rule.quality) {
+        settings.quality = { ...settings.quality, ...rule.quality };
+      }
+      for (const key of RULE_SETTINGS) {
+        if (rule[key] !== undefined) {
+          settings[key] = rule[key];
+        }
+      }
+    }
+    
+    return settings;
+  }
+
+  /**
+   * Check if any rule needs image metadata to be evaluated
+   * @returns {boolean} True when a rule has size or image property criteria
+   */
+  usesMetadata() {
+    return this.rules.some(rule => this.hasMetadataCriteria(rule));
+  }
+
   /**
    * Check if a rule matches the given image
    */
@@ -53,8 +103,11 @@ class QualityRulesEngine {
     // Size matching
     const sizeMatch = this.checkSizeRule(rule, metadata);
     
+    // Alpha, format, file size and EXIF matching
+    const propertyMatch = this.checkPropertyRule(rule, metadata);
+    
     // All conditions must match
-    return patternMatch && directoryMatch && sizeMatch;
+    return patternMatch && directoryMatch && sizeMatch && propertyMatch;
   }
 
   /**
@@ -77,8 +130,7 @@ class QualityRulesEngine {
    */
   checkSizeRule(rule, metadata) {
     // If no size rules defined, it's a match
-    if (!rule.minWidth && !rule.minHeight && 
-        !rule.maxWidth && !rule.maxHeight) {
+    if (!this.hasSizeCriteria(rule)) {
       return true;
     }
     
@@ -106,6 +158,77 @@ class QualityRulesEngine {
     return true;
   }
 
+  /**
+   * Check if image metadata matches aspect ratio, alpha, file size, format,
+   * color space and EXIF rules
+   */
+  checkPropertyRule(rule, metadata) {
+    if (!PROPERTY_CRITERIA.some(key => rule[key] !== undefined)) {
+      return true;
+    }
+    
+    // Like size rules, property rules never match without metadata
+    if (!metadata) {
+      return false;
+    }
+    
+    const aspectRatio = metadata.width && metadata.height ? metadata.width / metadata.height : 0;
+    if (rule.minAspectRatio !== undefined && aspectRatio < rule.minAspectRatio) {
+      return false;
+    }
+    if (rule.maxAspectRatio !== undefined && aspectRatio > rule.maxAspectRatio) {
+      return false;
+    }
+    
+    if (rule.hasAlpha !== undefined && !!metadata.hasAlpha !== rule.hasAlpha) {
+      return false;
+    }
+    
+    const fileSize = metadata.fileSize || 0;
+    if (rule.minFileSize !== undefined && fileSize < rule.minFileSize) {
+      return false;
+    }
+    if (rule.maxFileSize !== undefined && fileSize > rule.maxFileSize) {
+      return false;
+    }
+    
+    if (rule.inputFormat !== undefined &&
+        !this.matchesAny(rule.inputFormat, metadata.format, value => FORMAT_ALIASES[value] || value)) {
+      return false;
+    }
+    if (rule.colorSpace !== undefined && !this.matchesAny(rule.colorSpace, metadata.space)) {
+      return false;
+    }
+    
+    if (rule.cameraModel !== undefined &&
+        !(metadata.cameraModel && this.minimatch(metadata.cameraModel, rule.cameraModel, { nocase: true }))) {
+      return false;
+    }
+    
+    // Images without an EXIF orientation are displayed as stored
+    if (rule.orientation !== undefined &&
+        ![].concat(rule.orientation).includes(metadata.orientation || 1)) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  matchesAny(expected, actual, normalize = value => value) {
+    if (!actual) {
+      return false;
+    }
+    return [].concat(expected).some(value => normalize(value.toLowerCase()) === normalize(actual.toLowerCase()));
+  }
+
+  hasSizeCriteria(rule) {
+    return SIZE_CRITERIA.some(key => rule[key]);
+  }
+
+  hasMetadataCriteria(rule) {
+    return this.hasSizeCriteria(rule) || PROPERTY_CRITERIA.some(key => rule[key] !== undefined);
+  }
+
   /**
    * Sort rules by specificity (more specific rules first)
    */
@@ -140,9 +263,8 @@ class QualityRulesEngine {
       score += (rule.directory.split('/').filter(Boolean).length * 0.1);
     }
     
-    // Size rules are least specific
-    if (rule.minWidth || rule.minHeight || 
-        rule.maxWidth || rule.maxHeight) {
+    // Size and image property rules are least specific
+    if (this.hasMetadataCriteria(rule)) {
       score += 1;
     }
     
@@ -150,7 +272,7 @@ class QualityRulesEngine {
     const criteriaCount = [
       !!rule.pattern,
       !!rule.directory,
-      !!(rule.minWidth || rule.minHeight || rule.maxWidth || rule.maxHeight)
+      this.hasMetadataCriteria(rule)
     ].filter(Boolean).length;
     
     if (criteriaCount > 1) {
@@ -188,14 +310,50 @@ class QualityRulesEngine {
       if (rule.maxHeight) {
         parts.push(`maxHeight: ${rule.maxHeight}`);
       }
+      for (const key of PROPERTY_CRITERIA) {
+        if (rule[key] !== undefined) {
+          parts.push(`${key}: ${[].concat(rule[key]).join('|')}`);
+        }
+      }
+      
+      const settings = {};
+      for (const key of RULE_SETTINGS) {
+        if (rule[key] !== undefined) {
+          settings[key] = rule[key];
+        }
+      }
       
       return {
+        index: this.ruleIndexes.get(rule),
         criteria: parts.join(', '),
         quality: rule.quality,
+        settings,
         specificity: this.getSpecificityScore(rule)
       };
     });
   }
+
+  /**
+   * Find the rule that supplies each setting getSettingsForImage() returns
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} metadata - Image metadata (width, height, etc.)
+   * @returns {Object} explainMatch() entries keyed by setting, e.g. 'quality.webp' or 'formats'
+   */
+  getSettingSources(imagePath, metadata) {
+    const sources = {};
+    
+    // Least specific first, so the rule that wins is assigned last
+    for (const match of [...this.explainMatch(imagePath, metadata)].reverse()) {
+      for (const format of Object.keys(match.quality || {})) {
+        sources[`quality.${format}`] = match;
+      }
+      for (const key of Object.keys(match.settings)) {
+        sources[key] = match;
+      }
+    }
+    
+    return sources;
+  }
 }
 
 module.exports = QualityRulesEngine;
\ No newline at end of file
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+
+// A lock file that cannot be parsed is only treated as abandoned after this
+// long, so a lock being written right now is not mistaken for a broken one
+const INVALID_LOCK_GRACE = 5000;
+
+class RunLock {
+  constructor(options = {}, dependencies = {}) {
+    // Inject dependencies with defaults
+    this.fs = dependencies.fs || fs;
+    this.pid = dependencies.pid || process.pid;
+    this.hostname = dependencies.hostname || os.hostname();
+    this.isProcessAlive = dependencies.isProcessAlive || isProcessAlive;
+    this.now = dependencies.now || Date.now;
+    this.sleep = dependencies.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.lockFile = options.lockFile || '.image-optimization.lock';
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 1000;
+    // Processes on other hosts cannot be checked, so their locks only go
+    // stale with age
+    this.staleAfter = options.staleAfter !== undefined ? options.staleAfter : 24 * 60 * 60 * 1000;
+    this.logger = options.logger || console;
+
+    this.owner = null;
+  }
+
+  /**
+   * Take the lock, replacing it if the run that holds it is gone
+   * @param {Object} options
+   * @param {boolean} options.wait - Wait for the holder to finish instead of failing
+   * @returns {Promise<void>} Rejects with the holder's details when the lock is held
+   */
+  async acquire(options = {}) {
+    let waiting = false;
+
+    while (!this.tryAcquire()) {
+      const holder = this.readHolder();
+      if (!holder) {
+        // Released between our attempt and the read
+        continue;
+      }
+
+      if (this.isStale(holder)) {
+        this.logger.log(`⚠️  Removing stale lock ${this.lockFile} (${this.describe(holder)})`);
+        this.removeStale(holder);
+        continue;
+      }
+
+      if (!options.wait) {
+        throw new Error(
+          `Another image optimizer run holds ${this.lockFile} (${this.describe(holder)}). ` +
+          'Use --wait-for-lock to wait for it, or delete the lock file if that run no longer exists'
+        );
+      }
+
+      if (!waiting) {
+        this.logger.log(`⏳ Waiting for the run holding ${this.lockFile} (${this.describe(holder)})...`);
+        waiting = true;
+      }
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  tryAcquire() {
+    const owner = { pid: this.pid, hostname: this.hostname, startedAt: new Date(this.now()).toISOString() };
+
+    try {
+      // 'wx' fails if the file exists, so only one process can create it
+      this.fs.writeFileSync(this.lockFile, JSON.stringify(owner, null, 2) + '\n', { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+
+    this.owner = owner;
+    return true;
+  }
+
+  /**
+   * Remove the lock if this process still holds it. Synchronous so it can
+   * run from a process 'exit' handler
+   */
+  release() {
+    if (!this.owner) {
+      return;
+    }
+
+    const holder = this.readHolder();
+    if (holder && holder.pid === this.owner.pid && holder.startedAt === this.owner.startedAt) {
+      try {
+        this.fs.unlinkSync(this.lockFile);
+      } catch {
+        // Already removed
+      }
+    }
+    this.owner = null;
+  }
+
+  readHolder() {
+    let content;
+    let stats;
+    try {
+      content = this.fs.readFileSync(this.lockFile, 'utf8');
+      stats = this.fs.statSync(this.lockFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return { ...JSON.parse(content), content };
+    } catch {
+      return { invalid: true, content, modifiedAt: stats.mtimeMs };
+    }
+  }
+
+  isStale(holder) {
+    if (holder.invalid) {
+      return this.now() - holder.modifiedAt > INVALID_LOCK_GRACE;
+    }
+    if (holder.hostname === this.hostname) {
+      return !this.isProcessAlive(holder.pid);
+    }
+    return this.now() - Date.parse(holder.startedAt) > this.staleAfter;
+  }
+
+  removeStale(holder) {
+    // Another process may have replaced the stale lock with a fresh one
+    // since we read it; only remove what we judged stale
+    const current = this.readHolder();
+    if (current && current.content === holder.content) {
+      try {
+        this.fs.unlinkSync(this.lockFile);
+      } catch {
+        // Removed by another process
+      }
+    }
+  }
+
+  describe(holder) {
+    if (holder.invalid) {
+      return 'unreadable lock file';
+    }
+    return `PID ${holder.pid} on ${holder.hostname}, started ${holder.startedAt}`;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    // Signal 0 only checks that the process exists
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = RunLock;
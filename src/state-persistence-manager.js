@@ -1,12 +1,25 @@
 const fs = require('fs').promises;
+const path = require('path');
 
 class StatePersistenceManager {
   constructor(options = {}) {
     this.stateFile = options.stateFile || '.image-optimization-state.json';
+    // Runs that share a state file must not overlap, see RunLock
+    this.lockFile = options.lockFile || path.join(path.dirname(this.stateFile), '.image-optimization.lock');
     this.logger = options.logger || console;
+    // Saves and clears run one at a time, in call order, since concurrent
+    // workers save the same state file
+    this.pendingWrite = Promise.resolve();
   }
 
-  async save(state) {
+  enqueue(write) {
+    const result = this.pendingWrite.then(write);
+    // A failed write is reported to its caller only, not to later ones
+    this.pendingWrite = result.catch(() => {});
+    return result;
+  }
+
+  save(state) {
     const stateData = {
       version: '1.0',
       startedAt: state.startedAt || new Date().toISOString(),
@@ -16,12 +29,19 @@ class StatePersistenceManager {
       files: state.files || { processed: [], pending: [] }
     };
 
-    try {
-      await fs.writeFile(this.stateFile, JSON.stringify(stateData, null, 2));
-    } catch (error) {
-      this.logger.error('Failed to save state:', error.message);
-      throw error;
-    }
+    return this.enqueue(async () => {
+      // Renamed into place, so a crash mid-write never leaves a truncated
+      // state file that --resume would ignore
+      const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+      try {
+        await fs.writeFile(tempFile, JSON.stringify(stateData, null, 2));
+        await fs.rename(tempFile, this.stateFile);
+      } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        this.logger.error('Failed to save state:', error.message);
+        throw error;
+      }
+    });
   }
 
   async load() {
@@ -45,15 +65,18 @@ class StatePersistenceManager {
     }
   }
 
-  async clear() {
-    try {
-      await fs.unlink(this.stateFile);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        this.logger.error('Failed to clear state:', error.message);
-        throw error;
+  clear() {
+    // Queued behind pending saves, which would otherwise recreate the file
+    return this.enqueue(async () => {
+      try {
+        await fs.unlink(this.stateFile);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.error('Failed to clear state:', error.message);
+          throw error;
+        }
       }
-    }
+    });
   }
 
   async exists() {
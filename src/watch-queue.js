@@ -0,0 +1,93 @@
+class WatchQueue {
+  constructor(options = {}, dependencies = {}) {
+    // Inject dependencies with defaults
+    this.setTimeout = dependencies.setTimeout || setTimeout;
+    this.clearTimeout = dependencies.clearTimeout || clearTimeout;
+    this.now = dependencies.now || Date.now;
+
+    this.debounce = options.debounce !== undefined ? options.debounce : 500;
+    this.maxWait = options.maxWait !== undefined ? options.maxWait : 5000;
+    this.onBatch = options.onBatch || (() => Promise.resolve());
+    this.onError = options.onError || (() => {});
+
+    this.pending = new Map();
+    this.timer = null;
+    this.firstPushAt = null;
+    this.running = null;
+  }
+
+  /**
+   * Queue a task, replacing any pending task with the same key
+   * @param {string} key - Identifies the file or directory the task is about
+   * @param {Object} task - Passed to onBatch with the other tasks of its batch
+   */
+  push(key, task) {
+    // Delete first so the key moves to the end and batches keep event order
+    this.pending.delete(key);
+    this.pending.set(key, task);
+    this.schedule();
+  }
+
+  schedule() {
+    // A running batch schedules the next one when it finishes
+    if (this.running) {
+      return;
+    }
+
+    const now = this.now();
+    if (this.firstPushAt === null) {
+      this.firstPushAt = now;
+    }
+
+    // Every push restarts the debounce, but a steady stream of events still
+    // gets flushed once maxWait has passed since the first one
+    const delay = Math.max(0, Math.min(this.debounce, this.firstPushAt + this.maxWait - now));
+    this.clearTimeout(this.timer);
+    this.timer = this.setTimeout(() => this.flush(), delay);
+  }
+
+  async flush() {
+    this.clearTimeout(this.timer);
+    this.timer = null;
+    this.firstPushAt = null;
+
+    if (this.running || this.pending.size === 0) {
+      return;
+    }
+
+    const tasks = [...this.pending.values()];
+    this.pending.clear();
+
+    this.running = Promise.resolve()
+      .then(() => this.onBatch(tasks))
+      .catch(error => this.onError(error))
+      .then(() => {
+        this.running = null;
+        if (this.pending.size > 0) {
+          this.schedule();
+        }
+      });
+
+    await this.running;
+  }
+
+  /**
+   * Process everything queued so far without waiting for the debounce
+   * @returns {Promise<void>} Resolves once no batch is running or pending
+   */
+  async drain() {
+    while (this.running || this.pending.size > 0) {
+      if (this.running) {
+        await this.running;
+      } else {
+        await this.flush();
+      }
+    }
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+}
+
+module.exports = WatchQueue;
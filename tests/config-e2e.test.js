@@ -128,7 +128,9 @@ describe('Configuration End-to-End', () => {
       
       expect(exitCode).toBe(0);
       
-      const outputFiles = await fs.readdir(path.join(testDir, 'optimized'));
+      // Ignore the hidden settings cache written next to the outputs
+      const outputFiles = (await fs.readdir(path.join(testDir, 'optimized')))
+        .filter(file => !file.startsWith('.'));
       expect(outputFiles).toContain('test-image.png');
       expect(outputFiles).toHaveLength(1); // Only original
     });
@@ -301,4 +303,193 @@ describe('Configuration End-to-End', () => {
       expect(metadata.width).toBe(100);
     });
   });
-});
\ No newline at end of file
+  
+  describe('Responsive breakpoints', () => {
+    it('should generate a width variant per breakpoint for each format', async () => {
+      const config = {
+        formats: ['webp', 'avif'],
+        breakpoints: [100, 150],
+        generateThumbnails: false
+      };
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify(config)
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const outputFiles = await fs.readdir(path.join(testDir, 'optimized'));
+      expect(outputFiles).toEqual(expect.arrayContaining([
+        'test-image.webp',
+        'test-image.avif',
+        'test-image-100.webp',
+        'test-image-100.avif',
+        'test-image-150.webp',
+        'test-image-150.avif'
+      ]));
+      
+      const metadata = await sharp(path.join(testDir, 'optimized', 'test-image-150.webp')).metadata();
+      expect(metadata.width).toBe(150);
+    });
+    
+    it('should skip images whose variants are all up to date', async () => {
+      const config = {
+        formats: ['webp'],
+        breakpoints: [100],
+        generateThumbnails: false
+      };
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify(config)
+      );
+      
+      runOptimizer();
+      const { output, exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      expect(output).toContain('Skipped: 1 images');
+    });
+  });
+  
+  describe('Manifest output', () => {
+    it('should record every generated variant in the manifest', async () => {
+      const config = {
+        formats: ['webp', 'avif'],
+        generateThumbnails: false,
+        manifest: true
+      };
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify(config)
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(testDir, 'optimized', 'manifest.json'), 'utf8')
+      );
+      const entry = manifest.images['test-image.png'];
+      
+      expect(entry.outputs.map(output => output.path).sort()).toEqual([
+        'optimized/test-image.avif',
+        'optimized/test-image.webp'
+      ]);
+      expect(entry.outputs[0]).toMatchObject({ width: 200, height: 200 });
+    });
+    
+    it('should keep skipped entries and drop deleted sources', async () => {
+      await sharp({
+        create: {
+          width: 50,
+          height: 50,
+          channels: 3,
+          background: { r: 0, g: 0, b: 0 }
+        }
+      })
+        .png()
+        .toFile(path.join(testDir, 'original', 'removed.png'));
+      
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, manifest: true })
+      );
+      
+      runOptimizer();
+      await fs.unlink(path.join(testDir, 'original', 'removed.png'));
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(testDir, 'optimized', 'manifest.json'), 'utf8')
+      );
+      expect(Object.keys(manifest.images)).toEqual(['test-image.png']);
+    });
+  });
+  
+  describe('Placeholders', () => {
+    it('should write a placeholder sidecar and copy it into the manifest', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp'],
+          generateThumbnails: false,
+          manifest: true,
+          placeholders: { blurhash: true, lqip: true, dominantColor: true }
+        })
+      );
+      
+      const { exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      
+      const placeholder = JSON.parse(
+        await fs.readFile(path.join(testDir, 'optimized', 'test-image.placeholder.json'), 'utf8')
+      );
+      expect(placeholder).toMatchObject({ width: 200, height: 200 });
+      expect(typeof placeholder.blurhash).toBe('string');
+      expect(placeholder.lqip).toMatch(/^data:image\/webp;base64,/);
+      expect(placeholder.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+      
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(testDir, 'optimized', 'manifest.json'), 'utf8')
+      );
+      expect(manifest.images['test-image.png'].placeholder).toEqual(placeholder);
+    });
+    
+    it('should skip up-to-date images once the sidecar exists', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({ formats: ['webp'], generateThumbnails: false, placeholders: true })
+      );
+      
+      runOptimizer();
+      const { output } = runOptimizer();
+      
+      expect(output).toContain('Skipping test-image.png (already up to date)');
+    });
+  });
+  
+  describe('Settings changes', () => {
+    it('should regenerate only images whose effective settings changed', async () => {
+      await fs.mkdir(path.join(testDir, 'original', 'products'), { recursive: true });
+      await fs.copyFile(
+        path.join(testDir, 'original', 'test-image.png'),
+        path.join(testDir, 'original', 'products', 'shoe.png')
+      );
+      
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: false,
+        quality: { webp: 80 }
+      };
+      await fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify(config));
+      
+      runOptimizer();
+      
+      const untouchedPath = path.join(testDir, 'optimized', 'test-image.webp');
+      const before = (await fs.stat(untouchedPath)).mtime.getTime();
+      
+      // A new rule only affects images in products/
+      await fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify({
+        ...config,
+        qualityRules: [{ directory: 'products/', quality: { webp: 40 } }]
+      }));
+      
+      const { output, exitCode } = runOptimizer();
+      
+      expect(exitCode).toBe(0);
+      expect(output).toContain('Settings changed for products/shoe.png');
+      expect(output).toContain('Processed: 1 images');
+      expect(output).toContain('Skipped: 1 images');
+      expect((await fs.stat(untouchedPath)).mtime.getTime()).toBe(before);
+    });
+  });
+});
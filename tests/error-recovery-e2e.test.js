@@ -186,6 +186,8 @@ describe('Error Recovery E2E', () => {
       expect(errors[0]).toHaveProperty('file');
       expect(errors[0]).toHaveProperty('error');
       expect(errors[0].file).toContain('z-corrupted.png');
+      expect(errors[0].error.message).toContain('unsupported image format');
+      expect(errors[0].error.category).toBe('unsupportedFormat');
     });
     
     it('should use custom error log path', async () => {
@@ -200,6 +202,64 @@ describe('Error Recovery E2E', () => {
     });
   });
   
+  describe('--retry-failed', () => {
+    it('should reprocess only failed images and keep the ones that still fail in the log', async () => {
+      const validPng = await fs.readFile(path.join('original', 'a-good1.png'));
+      await fs.writeFile(path.join('original', 'z-corrupted2.png'), Buffer.from('not a valid image either'));
+      execSync(`node ${scriptPath} --continue-on-error`, { encoding: 'utf8' });
+      
+      // Fix one image, and add one that was never tried
+      await fs.writeFile(path.join('original', 'z-corrupted.png'), validPng);
+      await fs.writeFile(path.join('original', 'b-new.png'), validPng);
+      
+      const result = execSync(`node ${scriptPath} --retry-failed --continue-on-error --force`, { encoding: 'utf8' });
+      
+      // Both failures are in the error log and the state file
+      expect(result).toMatch(/^🔁 Retrying 2 failed images$/m);
+      expect(result).toContain('Processed: 1 images');
+      expect(result).toContain('Errors: 1 images');
+      const files = await fs.readdir('optimized');
+      expect(files).toContain('z-corrupted.webp');
+      expect(files).not.toContain('b-new.webp');
+      
+      const logged = (await fs.readFile('image-optimization-errors.log', 'utf8'))
+        .trim().split('\n').map(line => JSON.parse(line).file);
+      expect(new Set(logged)).toEqual(new Set(['z-corrupted2.png']));
+      
+      // Once everything succeeds the log and state are gone
+      await fs.writeFile(path.join('original', 'z-corrupted2.png'), validPng);
+      const lastResult = execSync(`node ${scriptPath} --retry-failed`, { encoding: 'utf8' });
+      
+      expect(lastResult).toContain('Processed: 1 images');
+      await expect(fs.access('image-optimization-errors.log')).rejects.toThrow();
+      await expect(fs.access('.image-optimization-state.json')).rejects.toThrow();
+    });
+    
+    it('should log and count an image once when it still fails without --continue-on-error', () => {
+      const run = args => {
+        try {
+          return { exitCode: 0, output: execSync(`node ${scriptPath} ${args}`, { encoding: 'utf8', stdio: 'pipe' }) };
+        } catch (error) {
+          return { exitCode: error.status, output: error.stdout + error.stderr };
+        }
+      };
+      const readLog = async () => (await fs.readFile('image-optimization-errors.log', 'utf8'))
+        .trim().split('\n').map(line => JSON.parse(line));
+      
+      expect(run('').exitCode).not.toBe(0);
+      
+      const { exitCode, output } = run('--retry-failed');
+      
+      expect(exitCode).not.toBe(0);
+      expect(output).toMatch(/^🔁 Retrying 1 failed images$/m);
+      expect(output).toMatch(/Errors: 1\b/);
+      return readLog().then(entries => {
+        expect(entries.map(entry => [entry.file, entry.error.category]))
+          .toEqual([['z-corrupted.png', 'unsupportedFormat']]);
+      });
+    });
+  });
+  
   describe('Retry mechanism', () => {
     it('should retry transient errors', async () => {
       // Create a file that will cause a transient error
@@ -223,6 +283,29 @@ describe('Error Recovery E2E', () => {
       // Should complete even with errors when using --continue-on-error
       expect(result).toContain('Optimization complete!');
     });
+
+    it('should retry failed Git LFS pulls in a normal run', async () => {
+      // Outside a Git repository every pull fails with ERR_LFS_PULL
+      await fs.writeFile(path.join('original', 'pointer.png'),
+        'version https://git-lfs.github.com/spec/v1\noid sha256:0000\nsize 1234\n');
+      await fs.writeFile('.imagerc', JSON.stringify({
+        errorRecovery: { retryPolicies: { network: { maxRetries: 3, retryDelay: 10, exponentialBackoff: false } } }
+      }));
+
+      const result = execSync(`node ${scriptPath} --pull-lfs --continue-on-error`, { encoding: 'utf8' });
+
+      expect(result).toContain('Retry attempt 1/3 for pointer.png after 10ms (network error)');
+      expect(result).toContain('Retry attempt 2/3 for pointer.png after 10ms (network error)');
+      // Decode and format errors are not retried
+      expect(result).not.toContain('for z-corrupted.png');
+
+      const entries = (await fs.readFile('image-optimization-errors.log', 'utf8'))
+        .trim().split('\n').map(line => JSON.parse(line));
+      expect(entries.map(entry => [entry.file, entry.error.category, entry.context.attempt])).toEqual([
+        ['pointer.png', 'network', 3],
+        ['z-corrupted.png', 'unsupportedFormat', 1]
+      ]);
+    });
   });
   
   describe('Configuration integration', () => {
@@ -246,7 +329,7 @@ describe('Error Recovery E2E', () => {
       }
       
       expect(result).toContain('Processing complete!');
-      expect(result).toContain('Errors: 2');
+      expect(result).toContain('Errors: 1');
     });
   });
 });
\ No newline at end of file
@@ -111,6 +111,29 @@ describe('ConfigLoader', () => {
     });
   });
   
+  describe('loadConfigLayers', () => {
+    it('should return each layer alongside the merged config', async () => {
+      const configPath = path.join(tempDir, '.imagerc');
+      await fs.writeFile(configPath, JSON.stringify({ formats: ['webp'], quality: { webp: 70 } }));
+      
+      const layers = await configLoader.loadConfigLayers(tempDir, { quality: { webp: 60 } });
+      
+      expect(layers.filePath).toBe(configPath);
+      expect(layers.file).toEqual({ formats: ['webp'], quality: { webp: 70 } });
+      expect(layers.cli).toEqual({ quality: { webp: 60 } });
+      expect(layers.defaults.formats).toEqual(['webp', 'avif', 'original']);
+      expect(layers.config.formats).toEqual(['webp']);
+      expect(layers.config.quality.webp).toBe(60);
+    });
+    
+    it('should report no file path without a config file', async () => {
+      const layers = await configLoader.loadConfigLayers(tempDir);
+      
+      expect(layers.filePath).toBeNull();
+      expect(layers.file).toEqual({});
+    });
+  });
+  
   describe('validateConfig', () => {
     it('should accept valid configuration', () => {
       const validConfig = {
@@ -187,6 +210,142 @@ describe('ConfigLoader', () => {
         .toThrow('Output directory cannot be empty');
     });
     
+    it('should accept valid breakpoints', () => {
+      const validConfig = {
+        breakpoints: [320, 640, 1280, 2000]
+      };
+      
+      expect(() => configLoader.validateConfig(validConfig)).not.toThrow();
+    });
+    
+    it('should reject non-integer breakpoints', () => {
+      const invalidConfig = {
+        breakpoints: [320, 'large']
+      };
+      
+      expect(() => configLoader.validateConfig(invalidConfig))
+        .toThrow('Invalid breakpoint: large. Breakpoints must be positive integers');
+    });
+    
+    it('should reject duplicate breakpoints', () => {
+      const invalidConfig = {
+        breakpoints: [640, 640]
+      };
+      
+      expect(() => configLoader.validateConfig(invalidConfig))
+        .toThrow('breakpoints must not contain duplicate widths');
+    });
+    
+    it('should reject inputDir combined with sources', () => {
+      expect(() => configLoader.validateConfig({ inputDir: 'assets', sources: ['apps/web/assets'] }))
+        .toThrow('Use either inputDir or sources, not both');
+    });
+    
+    it('should reject sources without an input directory', () => {
+      expect(() => configLoader.validateConfig({ sources: [{ output: 'web' }] }))
+        .toThrow('sources[0] must be a directory path or an object with an input directory');
+    });
+    
+    it('should reject sources with overlapping outputs', () => {
+      const invalidConfig = {
+        sources: [
+          { input: 'apps/web/assets', output: 'web' },
+          { input: 'apps/web/legacy', output: 'web/legacy' }
+        ]
+      };
+      
+      expect(() => configLoader.validateConfig(invalidConfig))
+        .toThrow('sources[0] and sources[1] write to overlapping output directories');
+    });
+    
+    it('should reject source outputs outside the output directory', () => {
+      expect(() => configLoader.validateConfig({ sources: [{ input: 'assets', output: '../public' }] }))
+        .toThrow('sources[0].output must stay inside the output directory');
+    });
+    
+    it('should validate watch settings', () => {
+      expect(() => configLoader.validateConfig({ watch: { reprocessOnConfigChange: true } })).not.toThrow();
+      expect(() => configLoader.validateConfig({ watch: true })).toThrow('watch must be an object');
+      expect(() => configLoader.validateConfig({ watch: { reprocessOnConfigChange: 'yes' } }))
+        .toThrow('watch.reprocessOnConfigChange must be a boolean');
+    });
+    
+    it('should reject a non-boolean prune setting', () => {
+      expect(() => configLoader.validateConfig({ prune: 'yes' }))
+        .toThrow('prune must be a boolean');
+    });
+    
+    it('should accept include and exclude globs', () => {
+      expect(() => configLoader.validateConfig({
+        include: ['products/**'],
+        exclude: ['**/drafts/**', 'vendor/**']
+      })).not.toThrow();
+    });
+    
+    it('should reject non-string exclude globs', () => {
+      expect(() => configLoader.validateConfig({ exclude: ['**/drafts/**', 42] }))
+        .toThrow('exclude must be an array of glob patterns');
+    });
+    
+    it('should accept GIF settings', () => {
+      expect(() => configLoader.validateConfig({
+        gif: { mode: 'convert', formats: ['webp', 'avif'] }
+      })).not.toThrow();
+    });
+    
+    it('should reject unknown GIF modes', () => {
+      expect(() => configLoader.validateConfig({ gif: { mode: 'optimize' } }))
+        .toThrow('Invalid gif.mode: optimize. Valid values are: convert, copy');
+    });
+    
+    it('should reject GIF formats that cannot hold animations', () => {
+      expect(() => configLoader.validateConfig({ gif: { formats: ['jpeg'] } }))
+        .toThrow('Invalid gif format: jpeg. Valid formats are: webp, avif');
+    });
+    
+    it('should accept placeholder settings', () => {
+      expect(() => configLoader.validateConfig({ placeholders: true })).not.toThrow();
+      expect(() => configLoader.validateConfig({
+        placeholders: { blurhash: true, lqip: false, dominantColor: true }
+      })).not.toThrow();
+    });
+    
+    it('should reject unknown placeholder types', () => {
+      const invalidConfig = {
+        placeholders: { thumbhash: true }
+      };
+      
+      expect(() => configLoader.validateConfig(invalidConfig))
+        .toThrow('Invalid placeholder type: thumbhash. Valid types are: blurhash, lqip, dominantColor');
+    });
+
+    it('should accept retry policies per error class', () => {
+      expect(() => configLoader.validateConfig({
+        errorRecovery: {
+          maxRetries: 3,
+          retryPolicies: {
+            network: { maxRetries: 5, retryDelay: 2000 },
+            decode: { maxRetries: 2, exponentialBackoff: false }
+          }
+        }
+      })).not.toThrow();
+    });
+
+    it('should reject unknown error classes and invalid retry policies', () => {
+      const policies = retryPolicies => ({ errorRecovery: { retryPolicies } });
+
+      expect(() => configLoader.validateConfig(policies({ corrupt: { maxRetries: 2 } })))
+        .toThrow('Invalid error class: corrupt. Valid classes are: diskFull, permission, unsupportedFormat');
+      expect(() => configLoader.validateConfig(policies({ network: 5 })))
+        .toThrow('errorRecovery.retryPolicies.network must be an object');
+      expect(() => configLoader.validateConfig(policies({ network: { maxRetries: 0 } })))
+        .toThrow('errorRecovery.retryPolicies.network.maxRetries must be a positive integer');
+      expect(() => configLoader.validateConfig(policies({ timeout: { retryDelay: -1 } })))
+        .toThrow('errorRecovery.retryPolicies.timeout.retryDelay must be a non-negative number');
+      expect(() => configLoader.validateConfig(policies({ timeout: { exponentialBackoff: 'yes' } })))
+        .toThrow('errorRecovery.retryPolicies.timeout.exponentialBackoff must be a boolean');
+    });
+
     it('should accept partial configuration', () => {
       const partialConfig = {
         quality: {
@@ -231,6 +390,72 @@ describe('ConfigLoader', () => {
         .toThrow('qualityRules[0] must have at least one matching criteria');
     });
     
+    it('should accept rules that override output settings', () => {
+      const configWithRules = {
+        qualityRules: [
+          { directory: 'icons/', formats: ['png'], generateThumbnails: false },
+          { pattern: '*-hero.*', formats: ['avif'], maxDimension: 3200 },
+          { directory: 'press/', preserveMetadata: { copyright: true }, thumbnailWidth: 400 },
+          { directory: 'drafts/', skip: true }
+        ]
+      };
+      
+      expect(() => configLoader.validateConfig(configWithRules)).not.toThrow();
+    });
+    
+    it('should accept image property criteria', () => {
+      const configWithRules = {
+        qualityRules: [
+          { hasAlpha: true, inputFormat: 'png', lossless: true },
+          { minFileSize: 8388608, cameraModel: 'iPhone*', quality: { webp: 60 } },
+          { minAspectRatio: 2, colorSpace: ['srgb', 'rgb16'], orientation: [6, 8], quality: { avif: 50 } }
+        ]
+      };
+      
+      expect(() => configLoader.validateConfig(configWithRules)).not.toThrow();
+    });
+    
+    it('should reject invalid image property criteria', () => {
+      const rule = criteria => ({ qualityRules: [{ ...criteria, quality: { webp: 60 } }] });
+      
+      expect(() => configLoader.validateConfig(rule({ hasAlpha: 'yes' })))
+        .toThrow('qualityRules[0].hasAlpha must be a boolean');
+      expect(() => configLoader.validateConfig(rule({ minAspectRatio: -1 })))
+        .toThrow('qualityRules[0].minAspectRatio must be a positive number');
+      expect(() => configLoader.validateConfig(rule({ inputFormat: [] })))
+        .toThrow('qualityRules[0].inputFormat must be a string or an array of strings');
+      expect(() => configLoader.validateConfig(rule({ cameraModel: '' })))
+        .toThrow('qualityRules[0].cameraModel must be a non-empty string');
+      expect(() => configLoader.validateConfig(rule({ orientation: 9 })))
+        .toThrow('qualityRules[0].orientation must be an EXIF orientation (1-8) or an array of them');
+    });
+    
+    it('should reject rules that set nothing', () => {
+      const invalidConfig = {
+        qualityRules: [{ pattern: '*.jpg' }]
+      };
+      
+      expect(() => configLoader.validateConfig(invalidConfig))
+        .toThrow('qualityRules[0] must set at least one of: quality, formats');
+    });
+    
+    it('should reject invalid output settings in rules', () => {
+      const rule = settings => ({ qualityRules: [{ pattern: '*.jpg', ...settings }] });
+      
+      expect(() => configLoader.validateConfig(rule({ formats: ['gif'] })))
+        .toThrow('Invalid format: gif in qualityRules[0].formats');
+      expect(() => configLoader.validateConfig(rule({ formats: [] })))
+        .toThrow('At least one output format must be specified in qualityRules[0].formats');
+      expect(() => configLoader.validateConfig(rule({ maxDimension: 0 })))
+        .toThrow('qualityRules[0].maxDimension must be a positive integer');
+      expect(() => configLoader.validateConfig(rule({ thumbnailWidth: 5 })))
+        .toThrow('qualityRules[0].thumbnailWidth must be between 10 and 1000');
+      expect(() => configLoader.validateConfig(rule({ skip: 'yes' })))
+        .toThrow('qualityRules[0].skip must be a boolean');
+      expect(() => configLoader.validateConfig(rule({ preserveMetadata: { location: true } })))
+        .toThrow('Invalid metadata field: location in qualityRules[0].preserveMetadata');
+    });
+    
     it('should reject quality rules with invalid quality values', () => {
       const invalidConfig = {
         qualityRules: [
@@ -255,6 +480,31 @@ describe('ConfigLoader', () => {
     });
   });
   
+  describe('getSources', () => {
+    it('should default to the original directory', () => {
+      expect(configLoader.getSources({})).toEqual([{ input: 'original', output: '' }]);
+    });
+    
+    it('should write a single inputDir straight into outputDir', () => {
+      expect(configLoader.getSources({ inputDir: 'assets/images' }))
+        .toEqual([{ input: 'assets/images', output: '' }]);
+    });
+    
+    it('should map each source to its output subdirectory', () => {
+      const sources = configLoader.getSources({
+        sources: [
+          'apps/web/assets',
+          { input: './apps/admin/assets/', output: 'admin/' }
+        ]
+      });
+      
+      expect(sources).toEqual([
+        { input: 'apps/web/assets', output: 'apps/web/assets' },
+        { input: './apps/admin/assets/', output: 'admin' }
+      ]);
+    });
+  });
+  
   describe('mergeConfigs', () => {
     const defaults = {
       formats: ['webp', 'avif', 'original'],
@@ -0,0 +1,40 @@
+const ErrorClassifier = require('../../src/error-classifier');
+
+describe('ErrorClassifier', () => {
+  const classifier = new ErrorClassifier();
+  const error = (message, code) => Object.assign(new Error(message), { code });
+  // How ImageOptimizer reports a failed encode
+  const failure = (file, cause) => new Error(`Failed to process ${file}: ${cause.message}`, { cause });
+
+  it('should classify by error code', () => {
+    expect(classifier.classify(error('write failed', 'ENOSPC'))).toBe('diskFull');
+    expect(classifier.classify(error('open failed', 'EACCES'))).toBe('permission');
+    expect(classifier.classify(error('busy', 'EBUSY'))).toBe('resourceLimit');
+    expect(classifier.classify(error('too slow', 'ETIMEDOUT'))).toBe('timeout');
+    expect(classifier.classify(error('reset', 'ECONNRESET'))).toBe('network');
+    expect(classifier.classify(error('Git LFS pull failed for a.png: Object not found', 'ERR_LFS_PULL'))).toBe('network');
+  });
+
+  it('should classify the sharp error behind a failure', () => {
+    expect(classifier.classify(failure('a.png', new Error('Input file contains unsupported image format'))))
+      .toBe('unsupportedFormat');
+    expect(classifier.classify(failure('a.png', new Error('pngload: end of stream')))).toBe('decode');
+    expect(classifier.classify(failure('a.jpg', new Error('VipsJpeg: premature end of JPEG image')))).toBe('decode');
+    expect(classifier.classify(failure('a.jpg', new Error('Input image exceeds pixel limit')))).toBe('resourceLimit');
+    expect(classifier.classify(failure('a.png', error('write failed', 'ENOSPC')))).toBe('diskFull');
+  });
+
+  it('should not let file names decide the class', () => {
+    expect(classifier.classify(failure('network-map.png', new Error('VipsForeignSave: some error')))).toBe('unknown');
+    expect(classifier.classify(failure('timed out.png', new Error('VipsForeignSave: some error')))).toBe('unknown');
+    expect(classifier.classify(failure('LFS/corrupt network.png',
+      new Error('VipsForeignLoad: "original/LFS/corrupt network.png" is not a known file format'))))
+      .toBe('unsupportedFormat');
+    expect(classifier.classify(new Error('Input file is missing: original/LFS/network-map.png'))).toBe('unknown');
+  });
+
+  it('should only retry transient classes by default', () => {
+    expect(ErrorClassifier.getCategories().filter(category => classifier.isRetryable(category)))
+      .toEqual(['resourceLimit', 'timeout', 'network']);
+  });
+});
@@ -100,6 +100,41 @@ describe('ErrorRecoveryManager', () => {
     });
   });
   
+  describe('retry policies', () => {
+    it('should not retry decode errors by default', async () => {
+      const operation = jest.fn()
+        .mockRejectedValue(new Error('Failed to process a.png: pngload: end of stream'));
+      
+      const result = await errorManager.processWithRecovery(operation, { file: 'a.png' });
+      
+      expect(result.attempts).toBe(1);
+    });
+    
+    it('should apply the policy configured for the error class', async () => {
+      errorManager.retryPolicies = {
+        decode: { maxRetries: 2 },
+        network: { maxRetries: 5, retryDelay: 1, exponentialBackoff: false }
+      };
+      errorManager.sleep = jest.fn(() => Promise.resolve());
+      
+      const decode = await errorManager.processWithRecovery(
+        jest.fn().mockRejectedValue(new Error('pngload: end of stream')), { file: 'a.png' });
+      expect(decode.attempts).toBe(2);
+      expect(errorManager.sleep).toHaveBeenLastCalledWith(10);
+      
+      const network = await errorManager.processWithRecovery(
+        jest.fn().mockRejectedValue(Object.assign(new Error('Git LFS pull failed for b.png'), { code: 'ERR_LFS_PULL' })),
+        { file: 'b.png' });
+      expect(network.attempts).toBe(5);
+      expect(errorManager.sleep.mock.calls.slice(1).map(([ms]) => ms)).toEqual([1, 1, 1, 1]);
+    });
+    
+    it('should fall back to the global settings for retryable classes', () => {
+      expect(errorManager.getRetryPolicy('timeout')).toEqual({ maxRetries: 3, retryDelay: 10, exponentialBackoff: true });
+      expect(errorManager.getRetryPolicy('permission').maxRetries).toBe(1);
+    });
+  });
+  
   describe('error logging', () => {
     it('should log errors to file', async () => {
       const error = new Error('Test error');
@@ -113,9 +148,16 @@ describe('ErrorRecoveryManager', () => {
       expect(logEntry.file).toBe('test.png');
       expect(logEntry.error.message).toBe('Test error');
       expect(logEntry.error.code).toBe('TEST_ERROR');
+      expect(logEntry.error.category).toBe('unknown');
       expect(logEntry.context.attempt).toBe(1);
     });
     
+    it('should record the error class', async () => {
+      await errorManager.logError('test.png', Object.assign(new Error('write failed'), { code: 'ENOSPC' }));
+      
+      expect(errorManager.errors[0].error.category).toBe('diskFull');
+    });
+    
     it('should accumulate errors in memory', async () => {
       await errorManager.logError('test1.png', new Error('Error 1'), {});
       await errorManager.logError('test2.png', new Error('Error 2'), {});
@@ -124,6 +166,58 @@ describe('ErrorRecoveryManager', () => {
       expect(errorManager.errors[0].file).toBe('test1.png');
       expect(errorManager.errors[1].file).toBe('test2.png');
     });
+    
+    it('should list failed files from the error log and the saved state', async () => {
+      errorManager.recordProcessedFile('original/a.png', { status: 'success' });
+      errorManager.recordProcessedFile('original/b.png', { status: 'failed' });
+      await errorManager.saveState({ total: 2 });
+      await errorManager.logError('c.png', new Error('Decode failed'), { type: 'processing_error' });
+      await errorManager.logError('FATAL', new Error('Out of memory'), { type: 'fatal' });
+      await fs.appendFile(errorManager.errorLog, '{"file": "cut sh');
+      
+      const newManager = new ErrorRecoveryManager({
+        errorLog: errorManager.errorLog,
+        stateFile: errorManager.stateFile
+      });
+      
+      expect((await newManager.getFailedFiles()).sort()).toEqual(['c.png', 'original/b.png']);
+      
+      await newManager.logError('b.png', new Error('Decode failed'), { type: 'processing_error' });
+      expect((await newManager.getFailedFiles(file => `original/${file}`)).sort())
+        .toEqual(['original/b.png', 'original/c.png']);
+    });
+    
+    it('should rewrite the error log with only this run\'s errors', async () => {
+      await fs.writeFile(errorManager.errorLog, JSON.stringify({ file: 'old.png' }) + '\n');
+      await errorManager.logError('still-broken.png', new Error('Decode failed'), {});
+      
+      await errorManager.rewriteErrorLog();
+      
+      const files = (await fs.readFile(errorManager.errorLog, 'utf8')).trim().split('\n').map(line => JSON.parse(line).file);
+      expect(files).toEqual(['still-broken.png']);
+    });
+
+    it('should keep the earlier entries a rewrite is told to keep', async () => {
+      await fs.writeFile(errorManager.errorLog, ['retried.png', 'not-reached.png']
+        .map(file => JSON.stringify({ file }) + '\n').join(''));
+      await errorManager.logError('retried.png', new Error('Decode failed'), {});
+
+      await errorManager.rewriteErrorLog(entry => entry.file !== 'retried.png');
+
+      const entries = (await fs.readFile(errorManager.errorLog, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(entries.map(entry => [entry.file, entry.error?.message])).toEqual([
+        ['not-reached.png', undefined],
+        ['retried.png', 'Decode failed']
+      ]);
+    });
+    
+    it('should remove the error log when nothing failed', async () => {
+      await fs.writeFile(errorManager.errorLog, JSON.stringify({ file: 'old.png' }) + '\n');
+      
+      await errorManager.rewriteErrorLog();
+      
+      await expect(fs.access(errorManager.errorLog)).rejects.toThrow();
+    });
   });
   
   describe('state management', () => {
@@ -163,6 +257,34 @@ describe('ErrorRecoveryManager', () => {
       expect(newManager.isFileProcessed('test3.png')).toBe(false);
     });
     
+    it('should restore fingerprints so resumed runs skip only unchanged successes', async () => {
+      errorManager.recordProcessedFile('original/a.png', { status: 'success', result: 'processed', fingerprint: 'aaa' });
+      errorManager.recordProcessedFile('original/b.png', { status: 'failed', fingerprint: 'bbb' });
+      await errorManager.saveState({ total: 3 });
+      
+      const newManager = new ErrorRecoveryManager({
+        stateFile: errorManager.stateFile
+      });
+      await newManager.loadState();
+      
+      expect(newManager.isFileCompleted('original/a.png', 'aaa')).toBe(true);
+      expect(newManager.isFileCompleted('original/a.png', 'changed')).toBe(false);
+      expect(newManager.isFileCompleted('original/a.png', null)).toBe(false);
+      expect(newManager.isFileCompleted('original/b.png', 'bbb')).toBe(false);
+      expect(newManager.isFileCompleted('original/c.png', 'ccc')).toBe(false);
+    });
+    
+    it('should fingerprint file content', async () => {
+      const file = path.join(tempDir, 'image.png');
+      await fs.writeFile(file, 'one');
+      const first = await errorManager.fingerprintFile(file);
+      await fs.writeFile(file, 'two');
+      
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(await errorManager.fingerprintFile(file)).not.toBe(first);
+      expect(await errorManager.fingerprintFile(path.join(tempDir, 'missing.png'))).toBeNull();
+    });
+    
     it('should handle missing state file gracefully', async () => {
       const loadedState = await errorManager.loadState();
       expect(loadedState).toBeNull();
@@ -186,6 +308,31 @@ describe('ErrorRecoveryManager', () => {
       exists = await fs.access(errorManager.stateFile).then(() => true).catch(() => false);
       expect(exists).toBe(false);
     });
+
+    it('should write concurrent saves one after another', async () => {
+      // The first save is slow to write, so unserialized it would land last
+      const writeFile = fs.writeFile;
+      const slowWrite = jest.spyOn(fs, 'writeFile').mockImplementationOnce(async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return writeFile(...args);
+      });
+      
+      errorManager.recordProcessedFile('a.png', { status: 'success' });
+      const first = errorManager.saveState({ total: 2 });
+      errorManager.recordProcessedFile('b.png', { status: 'success' });
+      await Promise.all([first, errorManager.saveState({ total: 2 })]);
+      slowWrite.mockRestore();
+
+      const state = JSON.parse(await fs.readFile(errorManager.stateFile, 'utf8'));
+      expect(state.progress.processed).toBe(2);
+      expect(await fs.readdir(tempDir)).toEqual(['state.json']);
+
+      // A clear issued while saves are pending must not be undone by them
+      const pending = errorManager.saveState({ total: 20 });
+      await errorManager.clearState();
+      await pending;
+      await expect(fs.access(errorManager.stateFile)).rejects.toThrow();
+    });
   });
   
   describe('report generation', () => {
@@ -0,0 +1,70 @@
+const FileFilter = require('../../src/file-filter');
+
+describe('FileFilter', () => {
+  describe('accepts', () => {
+    it('should accept every image when no globs are configured', () => {
+      const filter = new FileFilter();
+
+      expect(filter.accepts('photo.jpg')).toBe(true);
+      expect(filter.accepts('nested/deep/icon.PNG')).toBe(true);
+    });
+
+    it('should reject files that are not images', () => {
+      const filter = new FileFilter({ include: ['**/*'] });
+
+      expect(filter.accepts('notes.txt')).toBe(false);
+      expect(filter.accepts('photo.jpg.bak')).toBe(false);
+    });
+
+    it('should only accept images matching an include glob', () => {
+      const filter = new FileFilter({ include: ['products/**', 'hero.*'] });
+
+      expect(filter.accepts('products/shoe.jpg')).toBe(true);
+      expect(filter.accepts('banners/hero.png')).toBe(true); // No slash matches the file name
+      expect(filter.accepts('banners/promo.png')).toBe(false);
+    });
+
+    it('should reject images matching an exclude glob', () => {
+      const filter = new FileFilter({ exclude: ['**/drafts/**', '*-wip.*'] });
+
+      expect(filter.accepts('blog/drafts/post.jpg')).toBe(false);
+      expect(filter.accepts('blog/header-wip.png')).toBe(false);
+      expect(filter.accepts('blog/header.png')).toBe(true);
+    });
+
+    it('should let exclude win over include', () => {
+      const filter = new FileFilter({ include: ['products/**'], exclude: ['products/vendor/**'] });
+
+      expect(filter.accepts('products/shoe.jpg')).toBe(true);
+      expect(filter.accepts('products/vendor/logo.png')).toBe(false);
+    });
+
+    it('should match Windows-style separators', () => {
+      const filter = new FileFilter({ exclude: ['**/drafts/**'] });
+
+      expect(filter.accepts('blog\\drafts\\post.jpg')).toBe(false);
+    });
+  });
+
+  describe('excludesDirectory', () => {
+    it('should exclude directories covered by an exclude glob', () => {
+      const filter = new FileFilter({ exclude: ['**/drafts/**', 'vendor/**'] });
+
+      expect(filter.excludesDirectory('blog/drafts')).toBe(true);
+      expect(filter.excludesDirectory('vendor')).toBe(true);
+      expect(filter.excludesDirectory('vendors')).toBe(false);
+    });
+
+    it('should not exclude directories for file-level globs', () => {
+      const filter = new FileFilter({ exclude: ['*.gif', 'drafts/*.png'] });
+
+      expect(filter.excludesDirectory('drafts')).toBe(false);
+    });
+
+    it('should never exclude directories because of include globs', () => {
+      const filter = new FileFilter({ include: ['products/**'] });
+
+      expect(filter.excludesDirectory('banners')).toBe(false);
+    });
+  });
+});
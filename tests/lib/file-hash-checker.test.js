@@ -0,0 +1,155 @@
+const FileHashChecker = require('../../src/file-hash-checker');
+
+describe('FileHashChecker', () => {
+  let checker;
+  let files;
+  let mockFileSystem;
+
+  beforeEach(() => {
+    files = {
+      '/input.png': Buffer.from('image-bytes'),
+      '/output.webp': Buffer.from('output-bytes')
+    };
+    mockFileSystem = {
+      readFile: jest.fn(filePath => files[filePath]
+        ? Promise.resolve(files[filePath])
+        : Promise.reject(Object.assign(new Error('File not found'), { code: 'ENOENT' }))),
+      writeFile: jest.fn((filePath, content) => {
+        files[filePath] = content;
+        return Promise.resolve();
+      }),
+      stat: jest.fn(filePath => files[filePath]
+        ? Promise.resolve({})
+        : Promise.reject(Object.assign(new Error('File not found'), { code: 'ENOENT' })))
+    };
+    checker = new FileHashChecker(mockFileSystem, '/cache.json');
+  });
+
+  describe('shouldProcess', () => {
+    const settings = { formats: ['webp'], quality: { webp: 80 } };
+
+    it('should always return true when forceReprocess is enabled', async () => {
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], true, settings);
+
+      expect(result).toBe(true);
+      expect(mockFileSystem.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should return false when input file does not exist', async () => {
+      const result = await checker.shouldProcess('/missing.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(false);
+    });
+
+    it('should return true when the image has never been processed', async () => {
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(true);
+    });
+
+    it('should return false when content and settings are unchanged', async () => {
+      await checker.recordProcessed('/input.png', settings);
+
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(false);
+    });
+
+    it('should return true when the source content changes', async () => {
+      await checker.recordProcessed('/input.png', settings);
+      files['/input.png'] = Buffer.from('edited-image-bytes');
+
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(true);
+    });
+
+    it('should return true when the effective settings change', async () => {
+      await checker.recordProcessed('/input.png', settings);
+
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], false, {
+        ...settings,
+        quality: { webp: 60 }
+      });
+
+      expect(result).toBe(true);
+    });
+
+    it('should ignore settings key order', async () => {
+      await checker.recordProcessed('/input.png', { quality: { webp: 80 }, formats: ['webp'] });
+
+      const result = await checker.shouldProcess('/input.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(false);
+    });
+
+    it('should return true when an output is missing', async () => {
+      await checker.recordProcessed('/input.png', settings);
+
+      const result = await checker.shouldProcess(
+        '/input.png',
+        ['/output.webp', '/output.avif'],
+        false,
+        settings
+      );
+
+      expect(result).toBe(true);
+    });
+  });
+
+  describe('settingsChanged', () => {
+    const settings = { formats: ['webp'], quality: { webp: 80 } };
+
+    beforeEach(() => {
+      checker = new FileHashChecker(mockFileSystem, '/cache.json', { compareContent: false });
+    });
+
+    it('should adopt current settings as the baseline for untracked images', async () => {
+      expect(await checker.settingsChanged('/input.png', settings)).toBe(false);
+      expect(await checker.settingsChanged('/input.png', { ...settings, quality: { webp: 60 } })).toBe(true);
+    });
+
+    it('should report no change once the image is recorded with the same settings', async () => {
+      await checker.recordProcessed('/input.png', settings);
+
+      expect(await checker.settingsChanged('/input.png', settings)).toBe(false);
+    });
+
+    it('should not hash source content when content comparison is disabled', async () => {
+      await checker.recordProcessed('/input.png', settings);
+
+      expect(mockFileSystem.readFile).not.toHaveBeenCalledWith('/input.png');
+    });
+  });
+
+  describe('getRecordedHash', () => {
+    it('should return the source hash recorded for an image without reading it again', async () => {
+      expect(checker.getRecordedHash('/input.png')).toBeNull();
+
+      await checker.recordProcessed('/input.png', {});
+      mockFileSystem.readFile.mockClear();
+
+      expect(checker.getRecordedHash('/input.png')).toBe(await checker.hashFile('/input.png'));
+      expect(mockFileSystem.readFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('save', () => {
+    it('should persist recorded hashes for the next run', async () => {
+      const settings = { formats: ['webp'] };
+      await checker.recordProcessed('/input.png', settings);
+      await checker.save();
+
+      const nextRun = new FileHashChecker(mockFileSystem, '/cache.json');
+      const result = await nextRun.shouldProcess('/input.png', ['/output.webp'], false, settings);
+
+      expect(result).toBe(false);
+    });
+
+    it('should not write the cache when nothing was recorded', async () => {
+      await checker.save();
+
+      expect(mockFileSystem.writeFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,455 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ImageOptimizerApp = require('../../src/image-optimizer-app');
+const FileFilter = require('../../src/file-filter');
+const QualityRulesEngine = require('../../src/quality-rules-engine');
+const ImageOptimizer = require('../../src/image-optimizer');
+const ErrorRecoveryManager = require('../../src/error-recovery-manager');
+
+describe('ImageOptimizerApp', () => {
+  let tempDir;
+  let inputDir;
+
+  const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+  const exists = async filePath => {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const waitFor = async condition => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      if (await condition()) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Timed out waiting for the watcher');
+  };
+
+  const createApp = (fileFilter, overrides = {}) => new ImageOptimizerApp({
+    config: { outputDir: path.join(tempDir, 'optimized'), quality: {} },
+    progressManager: {},
+    errorRecoveryManager: new ErrorRecoveryManager({
+      errorLog: path.join(tempDir, 'errors.log'),
+      stateFile: path.join(tempDir, 'state.json'),
+      logger: silentLogger
+    }),
+    qualityRulesEngine: new QualityRulesEngine(),
+    optimizer: {},
+    logger: silentLogger,
+    inputDir,
+    fileFilter,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-optimizer-app-test-'));
+    inputDir = path.join(tempDir, 'original');
+
+    for (const file of [
+      'hero.png',
+      'notes.txt',
+      'blog/post.jpg',
+      'blog/drafts/wip.jpg',
+      'vendor/logo.png'
+    ]) {
+      await fs.mkdir(path.dirname(path.join(inputDir, file)), { recursive: true });
+      await fs.writeFile(path.join(inputDir, file), 'image');
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('_findSourceFiles', () => {
+    it('should find every image without filters', async () => {
+      const files = await createApp(new FileFilter())._findSourceFiles();
+
+      expect(files.sort()).toEqual([
+        path.join('blog', 'drafts', 'wip.jpg'),
+        path.join('blog', 'post.jpg'),
+        'hero.png',
+        path.join('vendor', 'logo.png')
+      ]);
+    });
+
+    it('should apply include and exclude globs', async () => {
+      const app = createApp(new FileFilter({ include: ['blog/**', 'vendor/**'], exclude: ['**/drafts/**'] }));
+
+      const files = await app._findSourceFiles();
+
+      expect(files.sort()).toEqual([path.join('blog', 'post.jpg'), path.join('vendor', 'logo.png')]);
+    });
+
+    it('should prefix files with the output directory of their source', async () => {
+      const app = createApp(new FileFilter({ exclude: ['vendor/**', '**/drafts/**'] }), {
+        sources: [{ input: inputDir, output: 'web' }]
+      });
+
+      const files = await app._findSourceFiles();
+
+      expect(files.sort()).toEqual([path.join('web', 'blog', 'post.jpg'), path.join('web', 'hero.png')]);
+      expect(app._getInputPath(path.join('web', 'blog', 'post.jpg'))).toBe(path.join(inputDir, 'blog', 'post.jpg'));
+    });
+  });
+
+  describe('watchForChanges', () => {
+    it('should not watch excluded directories or files', async () => {
+      const app = createApp(new FileFilter({ exclude: ['**/drafts/**', 'vendor/**'] }));
+      const watcher = app.watchForChanges();
+
+      try {
+        await new Promise(resolve => watcher.on('ready', resolve));
+
+        const watched = watcher.getWatched();
+        expect(watched[inputDir].sort()).toEqual(['blog', 'hero.png']);
+        expect(watched[path.join(inputDir, 'blog')]).toEqual(['post.jpg']);
+        expect(watched[path.join(inputDir, 'vendor')]).toBeUndefined();
+      } finally {
+        await watcher.close();
+      }
+    });
+
+    it('should process a burst of new images once each with bounded concurrency', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const optimizeImage = jest.fn(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight--;
+        return 'processed';
+      });
+      const progressManager = {
+        start: jest.fn(),
+        setFilename: jest.fn(),
+        increment: jest.fn(),
+        finish: jest.fn()
+      };
+      const app = createApp(new FileFilter(), {
+        config: { outputDir: path.join(tempDir, 'optimized'), quality: {}, concurrency: 2 },
+        optimizer: { optimizeImage, saveCache: jest.fn(() => Promise.resolve()) },
+        progressManager
+      });
+      const watcher = app.watchForChanges();
+
+      try {
+        await new Promise(resolve => watcher.on('ready', resolve));
+        for (let i = 0; i < 5; i++) {
+          await fs.writeFile(path.join(inputDir, `new-${i}.png`), 'image');
+        }
+
+        await waitFor(() => progressManager.finish.mock.calls.length > 0);
+        expect(progressManager.start).toHaveBeenCalledWith(5);
+        expect(progressManager.increment).toHaveBeenCalledTimes(5);
+        expect(optimizeImage).toHaveBeenCalledTimes(5);
+        expect(maxInFlight).toBe(2);
+      } finally {
+        await watcher.close();
+      }
+    }, 10000);
+
+    it('should pass image dimensions to size rules', async () => {
+      const optimizeImage = jest.fn(() => Promise.resolve('processed'));
+      const readMetadata = jest.fn(() => Promise.resolve({ width: 3000, height: 2000 }));
+      const app = createApp(new FileFilter(), {
+        qualityRulesEngine: new QualityRulesEngine([{ minWidth: 2000, quality: { webp: 95 } }]),
+        optimizer: { optimizeImage, readMetadata, saveCache: jest.fn(() => Promise.resolve()) },
+        progressManager: { start: jest.fn(), setFilename: jest.fn(), increment: jest.fn(), finish: jest.fn() }
+      });
+      const watcher = app.watchForChanges();
+
+      try {
+        await new Promise(resolve => watcher.on('ready', resolve));
+        await fs.writeFile(path.join(inputDir, 'large.png'), 'image');
+
+        await waitFor(() => optimizeImage.mock.calls.length > 0);
+        expect(readMetadata).toHaveBeenCalledWith(path.join(inputDir, 'large.png'));
+        expect(optimizeImage.mock.calls[0][2].quality).toEqual({ webp: 95 });
+      } finally {
+        await watcher.close();
+      }
+    }, 10000);
+
+    describe('deletions', () => {
+      let outputDir;
+      let app;
+      let manifestManager;
+
+      beforeEach(async () => {
+        outputDir = path.join(tempDir, 'optimized');
+        for (const file of ['hero.webp', 'hero-thumb.webp', 'blog/post.webp', 'blog/post-thumb.webp']) {
+          await fs.mkdir(path.dirname(path.join(outputDir, file)), { recursive: true });
+          await fs.writeFile(path.join(outputDir, file), 'output');
+        }
+
+        manifestManager = { removeEntry: jest.fn(), save: jest.fn(() => Promise.resolve()) };
+        app = createApp(new FileFilter(), {
+          optimizer: {
+            getOutputPaths: file => {
+              const { dir, name } = path.parse(file);
+              return [
+                path.join(outputDir, dir, `${name}.webp`),
+                path.join(outputDir, dir, `${name}-thumb.webp`)
+              ];
+            }
+          },
+          manifestManager
+        });
+      });
+
+      it('should remove the outputs of a deleted image', async () => {
+        const watcher = app.watchForChanges();
+
+        try {
+          await new Promise(resolve => watcher.on('ready', resolve));
+          await fs.unlink(path.join(inputDir, 'hero.png'));
+
+          await waitFor(async () => !await exists(path.join(outputDir, 'hero.webp')));
+          await waitFor(() => manifestManager.save.mock.calls.length > 0);
+          expect(await exists(path.join(outputDir, 'hero-thumb.webp'))).toBe(false);
+          expect(await exists(path.join(outputDir, 'blog', 'post.webp'))).toBe(true);
+          expect(manifestManager.removeEntry).toHaveBeenCalledWith('hero.png');
+        } finally {
+          await watcher.close();
+        }
+      });
+
+      it('should remove every output the optimizer wrote for a deleted .jpeg', async () => {
+        const OutputPathGenerator = require('../../src/output-path-generator');
+        const ProcessingConfigGenerator = require('../../src/processing-config-generator');
+        const outputs = ['photo.jpg', 'photo-640.jpg', 'photo.webp', 'photo-640.webp', 'photo-thumb.webp'];
+        for (const file of outputs) {
+          await fs.writeFile(path.join(outputDir, file), 'output');
+        }
+        await fs.writeFile(path.join(inputDir, 'photo.jpeg'), 'image');
+
+        const config = {
+          outputDir,
+          formats: ['webp', 'original'],
+          quality: {},
+          breakpoints: [640],
+          generateThumbnails: true
+        };
+        app = createApp(new FileFilter(), {
+          config,
+          optimizer: new ImageOptimizer({
+            ...config,
+            pathGenerator: new OutputPathGenerator(outputDir),
+            processingConfigGenerator: new ProcessingConfigGenerator(),
+            logger: silentLogger
+          }),
+          manifestManager
+        });
+        const watcher = app.watchForChanges();
+
+        try {
+          await new Promise(resolve => watcher.on('ready', resolve));
+          await fs.unlink(path.join(inputDir, 'photo.jpeg'));
+
+          await waitFor(() => manifestManager.save.mock.calls.length > 0);
+          for (const file of outputs) {
+            expect(await exists(path.join(outputDir, file))).toBe(false);
+          }
+        } finally {
+          await watcher.close();
+        }
+      });
+
+      it('should remove the output directory of a deleted directory', async () => {
+        const watcher = app.watchForChanges();
+
+        try {
+          await new Promise(resolve => watcher.on('ready', resolve));
+          await fs.rm(path.join(inputDir, 'blog'), { recursive: true });
+
+          await waitFor(async () => !await exists(path.join(outputDir, 'blog')));
+          expect(await exists(path.join(outputDir, 'hero.webp'))).toBe(true);
+        } finally {
+          await watcher.close();
+        }
+      });
+    });
+  });
+
+  describe('processImages', () => {
+    const createProcessingApp = results => {
+      const optimizer = {
+        optimizeImage: jest.fn((inputPath, file) => Promise.resolve(results[file] || 'skipped')),
+        // As with --change-detection=hash, where the optimizer hashed the source
+        getRecordedHash: inputPath => inputPath.endsWith('logo.png') ? 'recorded-hash' : null,
+        saveCache: () => Promise.resolve()
+      };
+      const progressManager = { start: jest.fn(), setFilename: jest.fn(), increment: jest.fn(), finish: jest.fn() };
+      const app = createApp(new FileFilter(), { optimizer, progressManager });
+      jest.spyOn(app.errorRecoveryManager, 'fingerprintFile');
+      jest.spyOn(app.errorRecoveryManager, 'recordProcessedFile');
+      return app;
+    };
+
+    it('should only read sources for the fingerprints of fresh outputs', async () => {
+      const app = createProcessingApp({ 'hero.png': 'processed', 'vendor/logo.png': 'processed' });
+
+      await app.processImages({});
+
+      const { fingerprintFile, recordProcessedFile } = app.errorRecoveryManager;
+      expect(fingerprintFile.mock.calls).toEqual([[path.join(inputDir, 'hero.png')]]);
+      const fingerprints = Object.fromEntries(recordProcessedFile.mock.calls
+        .map(([inputPath, record]) => [path.relative(inputDir, inputPath), record.fingerprint]));
+      expect(fingerprints).toEqual({
+        'hero.png': await fingerprintFile.mock.results[0].value,
+        'vendor/logo.png': 'recorded-hash',
+        'blog/post.jpg': null,
+        'blog/drafts/wip.jpg': null
+      });
+    });
+
+    it('should only read sources recorded as succeeded when resuming', async () => {
+      const app = createProcessingApp({});
+      const { errorRecoveryManager } = app;
+      const heroPath = path.join(inputDir, 'hero.png');
+      errorRecoveryManager.recordProcessedFile(heroPath, {
+        status: 'success', result: 'processed', fingerprint: await errorRecoveryManager.fingerprintFile(heroPath)
+      });
+      errorRecoveryManager.recordProcessedFile(path.join(inputDir, 'blog/post.jpg'), { status: 'failed' });
+      await errorRecoveryManager.saveState({ total: 4 });
+      errorRecoveryManager.fingerprintFile.mockClear();
+
+      await app.processImages({ resumeFlag: true });
+
+      expect(errorRecoveryManager.fingerprintFile.mock.calls).toEqual([[heroPath]]);
+      expect(app.optimizer.optimizeImage.mock.calls.map(([, file]) => file).sort())
+        .toEqual(['blog/drafts/wip.jpg', 'blog/post.jpg', 'vendor/logo.png']);
+    });
+  });
+
+  describe('explainImage', () => {
+    const createExplainingApp = (rules, config = {}) => {
+      const appConfig = {
+        outputDir: path.join(tempDir, 'optimized'),
+        formats: ['webp', 'avif'],
+        quality: { webp: 80, avif: 50 },
+        generateThumbnails: true,
+        thumbnailWidth: 200,
+        ...config
+      };
+      const optimizer = new ImageOptimizer(appConfig);
+      optimizer.readMetadata = () => Promise.resolve({ width: 3000, height: 2000, format: 'png', fileSize: 5 });
+      return createApp(new FileFilter(), {
+        config: appConfig,
+        qualityRulesEngine: new QualityRulesEngine(rules),
+        optimizer
+      });
+    };
+
+    it('should credit each setting to a rule, the command line, the config file or the defaults', async () => {
+      const app = createExplainingApp([
+        { directory: 'blog/', quality: { webp: 60 } },
+        { minWidth: 2000, formats: ['avif'], quality: { webp: 70 } }
+      ]);
+      const layers = {
+        filePath: path.join(tempDir, '.imagerc'),
+        file: { thumbnailWidth: 200, quality: { avif: 50 } },
+        cli: { generateThumbnails: true }
+      };
+
+      const explanation = await app.explainImage(path.join(inputDir, 'blog/post.jpg'), layers);
+      const sources = Object.fromEntries(explanation.settings.map(({ key, value, source }) => [key, { value, source }]));
+
+      expect(explanation.file).toBe(path.join('blog', 'post.jpg'));
+      expect(explanation.rules.map(rule => rule.index)).toEqual([0, 1]);
+      expect(sources['quality.webp']).toEqual({ value: 60, source: 'qualityRules[0] (directory: blog/)' });
+      expect(sources.formats).toEqual({ value: ['avif'], source: 'qualityRules[1] (minWidth: 2000)' });
+      expect(sources['quality.avif']).toEqual({ value: 50, source: '.imagerc' });
+      expect(sources.generateThumbnails.source).toBe('command line');
+      expect(sources.maxDimension).toEqual({ value: 2000, source: 'default' });
+    });
+
+    it('should reject files outside the sources or excluded from them', async () => {
+      const app = createExplainingApp([]);
+
+      await expect(app.explainImage(path.join(tempDir, 'elsewhere.jpg')))
+        .rejects.toThrow('is not inside');
+      await expect(app.explainImage(path.join(inputDir, 'notes.txt')))
+        .rejects.toThrow('is not an image or is excluded by include/exclude');
+      await expect(app.explainImage(path.join(inputDir, 'missing.jpg')))
+        .rejects.toThrow('does not exist');
+    });
+  });
+
+  describe('reloadConfig', () => {
+    const outputDir = () => path.join(tempDir, 'optimized');
+    let logger;
+
+    const createReloadingApp = reload => createApp(new FileFilter(), {
+      config: { outputDir: outputDir(), quality: { webp: 80 } },
+      logger,
+      configReloader: { files: [], reload }
+    });
+
+    beforeEach(() => {
+      logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    it('should swap in the new config, rules and optimizer together', async () => {
+      const next = {
+        config: { outputDir: outputDir(), quality: { webp: 60 } },
+        qualityRulesEngine: { name: 'new rules' },
+        optimizer: { name: 'new optimizer' }
+      };
+      const app = createReloadingApp(() => Promise.resolve(next));
+
+      await expect(app.reloadConfig()).resolves.toBe(true);
+
+      expect(app.config).toBe(next.config);
+      expect(app.qualityRulesEngine).toBe(next.qualityRulesEngine);
+      expect(app.optimizer).toBe(next.optimizer);
+      expect(logger.log).toHaveBeenCalledWith('🔧 Configuration reloaded');
+    });
+
+    it('should keep the previous config when the new one is invalid', async () => {
+      const app = createReloadingApp(() => Promise.reject(new Error('Quality for webp must be between 1 and 100')));
+      const previous = app.config;
+
+      await expect(app.reloadConfig()).resolves.toBe(false);
+
+      expect(app.config).toBe(previous);
+      expect(logger.error).toHaveBeenCalledWith(
+        '❌ Invalid configuration, keeping the previous one: Quality for webp must be between 1 and 100'
+      );
+    });
+
+    it('should refuse changes that need a restart', async () => {
+      const app = createReloadingApp(() => Promise.resolve({
+        config: { outputDir: path.join(tempDir, 'elsewhere'), quality: {}, exclude: ['drafts/**'] }
+      }));
+      const previous = app.config;
+
+      await expect(app.reloadConfig()).resolves.toBe(false);
+
+      expect(app.config).toBe(previous);
+      expect(logger.error).toHaveBeenCalledWith(
+        '❌ Changing outputDir, exclude requires a restart, keeping the previous configuration'
+      );
+    });
+
+    it('should reprocess images when enabled', async () => {
+      const app = createReloadingApp(() => Promise.resolve({
+        config: { outputDir: outputDir(), quality: {}, watch: { reprocessOnConfigChange: true } }
+      }));
+      app.processImages = jest.fn(() => Promise.resolve({ processed: 2, skipped: 3 }));
+
+      await app.reloadConfig({ pullLfs: true });
+
+      expect(app.processImages).toHaveBeenCalledWith({ pullLfs: true, continueOnError: true });
+      expect(logger.log).toHaveBeenCalledWith('✅ Reprocessed 2 images (3 unchanged)');
+    });
+  });
+});
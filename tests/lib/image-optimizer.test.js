@@ -1,4 +1,5 @@
 const ImageOptimizer = require('../../src/image-optimizer');
+const ImageProcessor = require('../../src/image-processor');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
@@ -73,7 +74,9 @@ describe('ImageOptimizer', () => {
             results.push({ success: true, outputPath: config.outputPath });
           }
           return results;
-        }
+        },
+        // The real temp-then-rename, so tests see what lands on disk
+        writeAtomically: (outputPath, write) => new ImageProcessor(null).writeAtomically(outputPath, write)
       },
       pathGenerator: {
         generatePaths: filename => {
@@ -220,7 +223,9 @@ describe('ImageOptimizer', () => {
       expect(webpContent).toBe('processed'); // Not changed
     });
 
-    it('should copy GIF files without processing', async () => {
+    it('should copy GIF files without processing in copy mode', async () => {
+      optimizer.config.gif = { mode: 'copy' };
+      
       // Create a GIF file
       const gifPath = path.join(inputDir, 'animation.gif');
       await fs.writeFile(gifPath, 'GIF89a-fake-data');
@@ -238,6 +243,86 @@ describe('ImageOptimizer', () => {
       expect(outputFiles).toEqual(['animation.gif']);
     });
 
+    it('should write the placeholder through a temp file once the variants are in place', async () => {
+      const steps = [];
+      const { imageProcessor } = testDependencies;
+      const processImage = imageProcessor.processImage;
+      imageProcessor.processImage = async (...args) => {
+        const results = await processImage(...args);
+        steps.push('variants');
+        return results;
+      };
+      const writeAtomically = imageProcessor.writeAtomically;
+      imageProcessor.writeAtomically = (outputPath, write) => {
+        steps.push(outputPath);
+        return writeAtomically(outputPath, write);
+      };
+      optimizer.placeholderGenerator = { generate: () => Promise.resolve({ width: 4, height: 3, dataUri: 'data:image/webp;base64,' }) };
+
+      const inputPath = path.join(inputDir, 'file.png');
+      await fs.writeFile(inputPath, 'fake-png');
+
+      await expect(optimizer.optimizeImage(inputPath, 'file.png')).resolves.toBe('processed');
+
+      const placeholderPath = path.join(outputDir, 'file.placeholder.json');
+      expect(steps).toEqual(['variants', placeholderPath]);
+      expect(JSON.parse(await fs.readFile(placeholderPath, 'utf8'))).toEqual(
+        { width: 4, height: 3, dataUri: 'data:image/webp;base64,' }
+      );
+      expect((await fs.readdir(outputDir)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should not write the placeholder when a variant fails', async () => {
+      testDependencies.imageProcessor.processImage = () => Promise.resolve([
+        { path: path.join(outputDir, 'file.webp'), success: false, error: 'Encoder crashed' }
+      ]);
+      optimizer.placeholderGenerator = { generate: jest.fn() };
+
+      const inputPath = path.join(inputDir, 'file.png');
+      await fs.writeFile(inputPath, 'fake-png');
+
+      await expect(optimizer.optimizeImage(inputPath, 'file.png')).resolves.toBe('error');
+      expect(optimizer.placeholderGenerator.generate).not.toHaveBeenCalled();
+      expect(await fs.readdir(outputDir)).toEqual([]);
+    });
+
+    it('should convert GIF files to animated WebP by default', async () => {
+      const processImage = jest.spyOn(testDependencies.imageProcessor, 'processImage');
+      optimizer.config.generateThumbnails = true;
+      
+      const gifPath = path.join(inputDir, 'animation.gif');
+      await fs.writeFile(gifPath, 'GIF89a-fake-data');
+      
+      const result = await optimizer.optimizeImage(gifPath, 'animation.gif');
+      
+      expect(result).toBe('processed');
+      const configs = processImage.mock.calls[0][1];
+      expect(configs).toEqual([
+        expect.objectContaining({ outputPath: path.join(outputDir, 'animation.webp'), format: 'webp', animated: true }),
+        expect.objectContaining({ outputPath: path.join(outputDir, 'animation-thumb.webp'), format: 'webp' })
+      ]);
+      expect(configs[1].animated).toBeUndefined();
+      
+      const outputFiles = await fs.readdir(outputDir);
+      expect(outputFiles.sort()).toEqual(['animation-thumb.webp', 'animation.webp']);
+    });
+    
+    it('should add a first-frame AVIF when enabled for GIFs', async () => {
+      optimizer.config.gif = { formats: ['webp', 'avif'] };
+      
+      const gifPath = path.join(inputDir, 'animation.gif');
+      await fs.writeFile(gifPath, 'GIF89a-fake-data');
+      
+      await optimizer.optimizeImage(gifPath, 'animation.gif');
+      
+      const outputFiles = await fs.readdir(outputDir);
+      expect(outputFiles.sort()).toEqual(['animation.avif', 'animation.webp']);
+      expect(optimizer.getOutputPaths('animation.gif')).toEqual([
+        path.join(outputDir, 'animation.webp'),
+        path.join(outputDir, 'animation.avif')
+      ]);
+    });
+    
     it('should process WebP input files successfully', async () => {
       // Create a WebP file
       const webpPath = path.join(inputDir, 'image.webp');
@@ -271,6 +356,23 @@ describe('ImageOptimizer', () => {
       expect(outputFiles).toHaveLength(0);
     });
 
+    it('should keep the error behind a failure, with its code, until taken', async () => {
+      testDependencies.imageProcessor.processImage = () => Promise.resolve([
+        { path: 'file.webp', success: false, error: 'write failed', code: 'ENOSPC', cause: new Error('write failed') }
+      ]);
+      
+      const imagePath = path.join(inputDir, 'file.png');
+      await fs.writeFile(imagePath, 'fake-image-data');
+      
+      expect(await optimizer.optimizeImage(imagePath, 'file.png')).toBe('error');
+      
+      const error = optimizer.takeFailure('file.png');
+      expect(error.message).toBe('Failed to process file.png: write failed');
+      expect(error.code).toBe('ENOSPC');
+      expect(error.cause.message).toBe('write failed');
+      expect(optimizer.takeFailure('file.png')).toBeUndefined();
+    });
+
     it('should process normal images to all configured formats', async () => {
       // Create a JPG file
       const jpgPath = path.join(inputDir, 'photo.jpg');
@@ -317,4 +419,117 @@ describe('ImageOptimizer', () => {
       expect(outputFiles).toContain('nested.avif');
     });
   });
+
+  describe('rule overrides', () => {
+    it('should use formats and thumbnail settings from the options', async () => {
+      const inputPath = path.join(inputDir, 'icon.png');
+      await fs.writeFile(inputPath, 'test');
+      optimizer.config.generateThumbnails = true;
+      
+      const options = { formats: ['png'], generateThumbnails: false };
+      const result = await optimizer.optimizeImage(inputPath, 'icon.png', options);
+      
+      expect(result).toBe('processed');
+      expect(optimizer.getOutputPaths('icon.png', options)).toEqual([path.join(outputDir, 'icon.png')]);
+      expect(await fs.readdir(outputDir)).toEqual(['icon.png']);
+    });
+    
+    it('should turn maxDimension and preserveMetadata into processing settings', () => {
+      const settings = optimizer.getEffectiveSettings({ maxDimension: 3200, preserveMetadata: true }, 'hero.jpg');
+      
+      expect(settings.resize).toEqual({ width: 3200, height: 3200, withoutEnlargement: true, fit: 'inside' });
+      expect(settings.preserveMetadata).toBe(true);
+      expect(optimizer.getEffectiveSettings({}, 'hero.jpg').resize).toBeUndefined();
+    });
+    
+    it('should skip images a rule excludes without producing outputs', async () => {
+      const inputPath = path.join(inputDir, 'draft.jpg');
+      await fs.writeFile(inputPath, 'test');
+      
+      expect(await optimizer.optimizeImage(inputPath, 'draft.jpg', { skip: true })).toBe('skipped');
+      expect(await optimizer.planImage(inputPath, 'draft.jpg', { skip: true }))
+        .toMatchObject({ action: 'skip', reason: 'skipped by rule', outputs: [] });
+      expect(optimizer.getOutputPaths('draft.jpg', { skip: true })).toEqual([]);
+      expect(await fs.readdir(outputDir)).toHaveLength(0);
+    });
+  });
+  
+  describe('output paths', () => {
+    const OutputPathGenerator = require('../../src/output-path-generator');
+    const ProcessingConfigGenerator = require('../../src/processing-config-generator');
+    
+    it('should list exactly the files written, for every source extension', async () => {
+      const written = [];
+      optimizer.pathGenerator = new OutputPathGenerator(outputDir);
+      optimizer.processingConfigGenerator = new ProcessingConfigGenerator();
+      optimizer.config.breakpoints = [640];
+      testDependencies.imageProcessor.processImage = (inputPath, configs) => {
+        written.push(...configs.map(config => config.outputPath));
+        return Promise.resolve(configs.map(config => ({ path: config.outputPath, success: true })));
+      };
+      
+      for (const file of ['photo.jpeg', 'pic.webp', 'icon.png']) {
+        written.length = 0;
+        const inputPath = path.join(inputDir, file);
+        await fs.writeFile(inputPath, 'test');
+        
+        expect(await optimizer.optimizeImage(inputPath, file)).toBe('processed');
+        expect(optimizer.getOutputPaths(file)).toEqual(written);
+      }
+      
+      expect(optimizer.getOutputPaths('photo.jpeg')).toContain(path.join(outputDir, 'photo-640.jpg'));
+      expect(optimizer.getOutputPaths('pic.webp')).not.toContain(path.join(outputDir, 'pic-640.webp'));
+    });
+  });
+  
+  describe('planImage', () => {
+    it('should plan outputs, formats and quality without writing anything', async () => {
+      const inputPath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(inputPath, 'test');
+      
+      const plan = await optimizer.planImage(inputPath, 'photo.jpg', { quality: { webp: 60 } });
+      
+      expect(plan.action).toBe('process');
+      expect(plan.quality).toEqual({ webp: 60, avif: 80, jpeg: 90 });
+      expect(plan.outputs).toEqual([
+        { path: path.join(outputDir, 'photo.webp'), format: 'webp', quality: 60 },
+        { path: path.join(outputDir, 'photo.avif'), format: 'avif', quality: 80 },
+        { path: path.join(outputDir, 'photo.jpg'), format: 'jpeg', quality: 90 }
+      ]);
+      expect(await fs.readdir(outputDir)).toHaveLength(0);
+    });
+
+    it('should plan to skip images that are up to date', async () => {
+      const inputPath = path.join(inputDir, 'photo.jpg');
+      await fs.writeFile(inputPath, 'test');
+      await optimizer.optimizeImage(inputPath, 'photo.jpg');
+      
+      const plan = await optimizer.planImage(inputPath, 'photo.jpg');
+      
+      expect(plan).toMatchObject({ action: 'skip', reason: 'up to date', outputs: [] });
+    });
+
+    it('should plan Git LFS pointers as skipped or pulled without pulling', async () => {
+      const pointerPath = path.join(inputDir, 'file.png');
+      const pointer = 'version https://git-lfs.github.com/spec/v1\noid sha256:fake\nsize 1234';
+      await fs.writeFile(pointerPath, pointer);
+      
+      expect((await optimizer.planImage(pointerPath, 'file.png')).action).toBe('skip');
+      
+      const plan = await optimizer.planImage(pointerPath, 'file.png', { pullLfs: true });
+      expect(plan.action).toBe('pull-lfs');
+      expect(plan.outputs.map(output => output.format)).toEqual(['webp', 'avif', 'png']);
+      expect(await fs.readFile(pointerPath, 'utf8')).toBe(pointer);
+    });
+
+    it('should plan a plain copy for GIFs in copy mode', async () => {
+      const gifPath = path.join(inputDir, 'anim.gif');
+      await fs.writeFile(gifPath, 'GIF89a');
+      optimizer.config.gif = { mode: 'copy' };
+      
+      const plan = await optimizer.planImage(gifPath, 'anim.gif');
+      
+      expect(plan.outputs).toEqual([{ path: path.join(outputDir, 'anim.gif'), format: 'gif' }]);
+    });
+  });
 });
\ No newline at end of file
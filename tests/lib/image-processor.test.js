@@ -1,9 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ImageProcessor = require('../../src/image-processor');
 
 describe('ImageProcessor', () => {
   let processor;
   let mockSharp;
   let mockImage;
+  let mockFs;
 
   beforeEach(() => {
     mockImage = {
@@ -22,7 +26,11 @@ describe('ImageProcessor', () => {
     mockSharp = jest.fn().mockImplementation(() => ({
       rotate: jest.fn().mockReturnValue(mockImage)
     }));
-    processor = new ImageProcessor(mockSharp);
+    mockFs = {
+      rename: jest.fn().mockResolvedValue(),
+      unlink: jest.fn().mockResolvedValue()
+    };
+    processor = new ImageProcessor(mockSharp, {}, { fs: mockFs });
   });
 
   describe('processImage', () => {
@@ -49,7 +57,8 @@ describe('ImageProcessor', () => {
         fit: 'inside'
       });
       expect(mockImage.webp).toHaveBeenCalledWith({ quality: 85 });
-      expect(mockImage.toFile).toHaveBeenCalledWith('/output/image.webp');
+      expect(mockImage.toFile).toHaveBeenCalledWith(expect.stringMatching(/^\/output\/\.image\.webp\.\d+-\d+\.tmp$/));
+      expect(mockFs.rename).toHaveBeenCalledWith(mockImage.toFile.mock.calls[0][0], '/output/image.webp');
       
       expect(results).toEqual([
         { path: '/output/image.webp', success: true }
@@ -90,6 +99,25 @@ describe('ImageProcessor', () => {
       expect(mockImage.withMetadata).toHaveBeenCalled();
     });
     
+    it('should load every frame for animated outputs', async () => {
+      const animatedImage = { ...mockImage, clone: jest.fn().mockReturnValue(mockImage) };
+      mockSharp.mockImplementation((input, options) => options?.animated
+        ? animatedImage
+        : { rotate: jest.fn().mockReturnValue(mockImage) });
+      
+      const configs = [
+        { outputPath: '/output/anim.webp', format: 'webp', options: { quality: 80 }, animated: true },
+        { outputPath: '/output/anim-thumb.webp', format: 'webp', options: { quality: 70 } }
+      ];
+      
+      const results = await processor.processImage('/input/anim.gif', configs);
+      
+      expect(results.every(result => result.success)).toBe(true);
+      expect(mockSharp).toHaveBeenCalledWith('/input/anim.gif', { animated: true });
+      expect(animatedImage.clone).toHaveBeenCalledTimes(1);
+      expect(mockImage.clone).toHaveBeenCalledTimes(1); // First-frame thumbnail
+    });
+    
     it('should handle processing errors gracefully', async () => {
       mockImage.toFile.mockRejectedValueOnce(new Error('Write failed'));
       
@@ -107,9 +135,134 @@ describe('ImageProcessor', () => {
         { 
           path: '/output/image.webp', 
           success: false, 
-          error: 'Write failed' 
+          error: 'Write failed',
+          cause: new Error('Write failed')
         }
       ]);
     });
   });
+
+  describe('atomic writes', () => {
+    const configs = [
+      { outputPath: '/output/image.webp', format: 'webp', options: { quality: 85 } },
+      { outputPath: '/output/image.avif', format: 'avif', options: { quality: 80 } }
+    ];
+
+    it('should rename nothing and remove the temp files when a variant fails', async () => {
+      mockImage.toFile
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Encoder crashed'));
+
+      const results = await processor.processImage('/input/image.png', configs);
+
+      expect(results[1]).toEqual({
+        path: '/output/image.avif',
+        success: false,
+        error: 'Encoder crashed',
+        cause: new Error('Encoder crashed')
+      });
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.unlink.mock.calls.map(([tempPath]) => tempPath))
+        .toEqual(mockImage.toFile.mock.calls.map(([tempPath]) => tempPath));
+    });
+
+    it('should keep previous outputs and leave no temp files on disk', async () => {
+      const fsp = fs.promises;
+      const sharp = require('sharp');
+      const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'image-processor-test-'));
+      try {
+        const input = path.join(tempDir, 'input.png');
+        await sharp({ create: { width: 8, height: 8, channels: 3, background: '#f00' } }).png().toFile(input);
+        await fsp.writeFile(path.join(tempDir, 'out.webp'), 'previous');
+
+        const results = await new ImageProcessor(sharp).processImage(input, [
+          { outputPath: path.join(tempDir, 'out.webp'), format: 'webp', options: {} },
+          { outputPath: path.join(tempDir, 'out.jpg'), format: 'jpeg', options: { quality: 0 } }
+        ]);
+
+        expect(results[1].success).toBe(false);
+        expect(await fsp.readFile(path.join(tempDir, 'out.webp'), 'utf8')).toBe('previous');
+        expect((await fsp.readdir(tempDir)).sort()).toEqual(['input.png', 'out.webp']);
+      } finally {
+        await fsp.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should remove temp files of encodes in progress', async () => {
+      let finishEncode;
+      mockImage.toFile.mockImplementationOnce(() => new Promise(resolve => {
+        finishEncode = resolve;
+      }));
+      const unlinkSync = jest.spyOn(fs, 'unlinkSync').mockImplementation(() => {});
+
+      const processing = processor.processImage('/input/image.png', configs.slice(0, 1));
+      ImageProcessor.removePendingTempFiles();
+      finishEncode();
+      await processing;
+
+      expect(unlinkSync).toHaveBeenCalledWith(mockImage.toFile.mock.calls[0][0]);
+      unlinkSync.mockRestore();
+    });
+
+    it('should write single files through a temp file as well', async () => {
+      const fsp = fs.promises;
+      const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'image-processor-test-'));
+      try {
+        const outputPath = path.join(tempDir, 'image.placeholder.json');
+        const atomic = new ImageProcessor(mockSharp);
+        await fsp.writeFile(outputPath, 'previous');
+
+        await expect(atomic.writeAtomically(outputPath, async tempPath => {
+          await fsp.writeFile(tempPath, 'trunc');
+          throw new Error('Write interrupted');
+        })).rejects.toThrow('Write interrupted');
+        expect(await fsp.readFile(outputPath, 'utf8')).toBe('previous');
+        expect(await fsp.readdir(tempDir)).toEqual(['image.placeholder.json']);
+
+        await atomic.writeAtomically(outputPath, tempPath => fsp.writeFile(tempPath, 'next'));
+        expect(await fsp.readFile(outputPath, 'utf8')).toBe('next');
+        expect(await fsp.readdir(tempDir)).toEqual(['image.placeholder.json']);
+      } finally {
+        await fsp.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('per-image metadata policy', () => {
+    it('should let the options override the configured policy', async () => {
+      const configs = [{ outputPath: '/output/image.webp', format: 'webp', options: { quality: 85 } }];
+      
+      await processor.processImage('/input/image.png', configs, { preserveMetadata: true });
+      expect(mockImage.withMetadata).toHaveBeenCalledTimes(1);
+      
+      const preserving = new ImageProcessor(mockSharp, { preserveMetadata: true });
+      await preserving.processImage('/input/image.png', configs, { preserveMetadata: false });
+      expect(mockImage.withMetadata).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('readMetadata', () => {
+    it('should return dimensions as displayed after EXIF rotation', async () => {
+      const metadata = jest.fn()
+        .mockResolvedValueOnce({ width: 2400, height: 400, orientation: 6 })
+        .mockResolvedValueOnce({ width: 2400, height: 400, orientation: 3 });
+      mockSharp.mockImplementation(() => ({ metadata }));
+
+      await expect(processor.readMetadata('/input/portrait.jpg'))
+        .resolves.toEqual({ width: 400, height: 2400, orientation: 6 });
+      await expect(processor.readMetadata('/input/upside-down.jpg'))
+        .resolves.toEqual({ width: 2400, height: 400, orientation: 3 });
+    });
+
+    it('should read the camera model from EXIF', async () => {
+      const sharp = require('sharp');
+      const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } })
+        .withExif({ IFD0: { Make: 'Google', Model: 'Pixel 8 Pro' } })
+        .jpeg()
+        .toBuffer();
+
+      const metadata = await new ImageProcessor(sharp).readMetadata(photo);
+      expect(metadata.cameraModel).toBe('Pixel 8 Pro');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const sharp = require('sharp');
+const ManifestManager = require('../../src/manifest-manager');
+
+describe('ManifestManager', () => {
+  let tempDir;
+  let manifestPath;
+  let manifestManager;
+  let logger;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-manager-test-'));
+    manifestPath = path.join(tempDir, 'optimized', 'manifest.json');
+    logger = { log: jest.fn(), warn: () => {}, error: () => {} };
+    manifestManager = new ManifestManager({ manifestPath, logger });
+
+    await fs.mkdir(path.join(tempDir, 'original'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'optimized'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const createImage = (filePath, width, height) => sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: { r: 10, g: 20, b: 30 }
+    }
+  }).webp().toFile(filePath);
+
+  describe('updateEntry', () => {
+    it('should describe each existing output and report missing ones', async () => {
+      const inputPath = path.join(tempDir, 'original', 'photo.png');
+      const outputPath = path.join(tempDir, 'optimized', 'photo.webp');
+      await fs.writeFile(inputPath, 'source');
+      await createImage(outputPath, 40, 30);
+
+      const entry = await manifestManager.updateEntry('photo.png', inputPath, [
+        outputPath,
+        path.join(tempDir, 'optimized', 'photo.avif') // deleted since
+      ]);
+
+      expect(entry.outputs).toHaveLength(1);
+      expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('photo.avif'));
+      expect(entry.outputs[0]).toMatchObject({
+        format: 'webp',
+        width: 40,
+        height: 30,
+        bytes: (await fs.stat(outputPath)).size
+      });
+      expect(entry.outputs[0].hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(entry.sourceMtime).toBe((await fs.stat(inputPath)).mtime.toISOString());
+    });
+  });
+
+  describe('save and load', () => {
+    it('should round-trip entries through the manifest file', async () => {
+      const inputPath = path.join(tempDir, 'original', 'photo.png');
+      await fs.writeFile(inputPath, 'source');
+      await manifestManager.updateEntry('photo.png', inputPath, []);
+      await manifestManager.save();
+
+      const reloaded = new ManifestManager({ manifestPath });
+      const images = await reloaded.load();
+
+      expect(Object.keys(images)).toEqual(['photo.png']);
+    });
+
+    it('should not rewrite the manifest when nothing changed', async () => {
+      await manifestManager.load();
+      await manifestManager.save();
+
+      await expect(fs.access(manifestPath)).rejects.toThrow();
+    });
+  });
+
+  describe('prune', () => {
+    it('should drop entries for sources that no longer exist', async () => {
+      const inputPath = path.join(tempDir, 'original', 'photo.png');
+      await fs.writeFile(inputPath, 'source');
+      await manifestManager.updateEntry('photo.png', inputPath, []);
+      await manifestManager.updateEntry('deleted.png', inputPath, []);
+
+      const removed = manifestManager.prune(['photo.png']);
+
+      expect(removed).toEqual(['deleted.png']);
+      expect(manifestManager.hasEntry('photo.png')).toBe(true);
+      expect(manifestManager.hasEntry('deleted.png')).toBe(false);
+    });
+  });
+});
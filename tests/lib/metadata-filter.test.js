@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const sharp = require('sharp');
+const MetadataFilter = require('../../src/metadata-filter');
+const ImageProcessor = require('../../src/image-processor');
+
+describe('MetadataFilter', () => {
+  let tempDir;
+  let inputPath;
+
+  const sourceExif = {
+    IFD0: {
+      Copyright: '(c) Jane Doe',
+      Artist: 'Jane Doe',
+      Make: 'Canon',
+      Model: 'EOS R5',
+      DateTime: '2024:05:06 07:08:09'
+    },
+    IFD2: {
+      DateTimeOriginal: '2024:05:06 07:08:09',
+      ExposureTime: '1/250',
+      FNumber: '28/10',
+      ISOSpeedRatings: '400',
+      LensModel: 'RF 50mm F1.2'
+    },
+    IFD3: {
+      GPSLatitudeRef: 'N',
+      GPSLatitude: '51/1 30/1 0/1',
+      GPSLongitudeRef: 'W',
+      GPSLongitude: '0/1 7/1 0/1'
+    }
+  };
+
+  const sourceXmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:exif="http://ns.adobe.com/exif/1.0/">' +
+    '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">(c) Jane Doe XMP</rdf:li></rdf:Alt></dc:rights>' +
+    '<dc:creator><rdf:Seq><rdf:li>Jane Doe XMP</rdf:li></rdf:Seq></dc:creator>' +
+    '<exif:GPSLatitude>51,30.0N</exif:GPSLatitude>' +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>';
+
+  const sourceTags = { ...sourceExif.IFD0, ...sourceExif.IFD2, ...sourceExif.IFD3 };
+
+  const fieldTags = {
+    copyright: ['Copyright'],
+    creator: ['Artist'],
+    datetime: ['DateTime', 'DateTimeOriginal'],
+    camera: ['Make', 'Model', 'ExposureTime', 'FNumber', 'ISOSpeedRatings', 'LensModel'],
+    gps: ['GPSLatitudeRef', 'GPSLatitude', 'GPSLongitudeRef', 'GPSLongitude']
+  };
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'metadata-filter-test-'));
+    inputPath = path.join(tempDir, 'input.jpg');
+
+    await sharp({
+      create: {
+        width: 64,
+        height: 48,
+        channels: 3,
+        background: { r: 200, g: 100, b: 50 }
+      }
+    })
+      .jpeg()
+      .withExif(sourceExif)
+      .withXmp(sourceXmp)
+      .toFile(inputPath);
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const readOutputTags = async outputPath => {
+    const { exif } = await sharp(outputPath).metadata();
+    return exif ? new MetadataFilter().readTags(exif) : {};
+  };
+
+  describe('readTags', () => {
+    it('should read tags from all IFDs of the source image', async () => {
+      const tags = await readOutputTags(inputPath);
+
+      expect(tags).toMatchObject(sourceTags);
+    });
+  });
+
+  describe('selectExif', () => {
+    it('should return null without EXIF data', () => {
+      expect(new MetadataFilter({ copyright: true }).selectExif(undefined)).toBeNull();
+    });
+
+    it('should return null for malformed EXIF data', () => {
+      const filter = new MetadataFilter({ copyright: true });
+
+      expect(filter.selectExif(Buffer.from('not exif'))).toBeNull();
+    });
+
+    it('should group selected tags by IFD', async () => {
+      const { exif } = await sharp(inputPath).metadata();
+      const filter = new MetadataFilter({ copyright: true, gps: true });
+
+      expect(filter.selectExif(exif)).toEqual({
+        IFD0: { Copyright: '(c) Jane Doe' },
+        IFD3: sourceExif.IFD3
+      });
+    });
+  });
+
+  describe('selectXmp', () => {
+    it('should return null without XMP data', () => {
+      expect(new MetadataFilter({ copyright: true }).selectXmp(undefined)).toBeNull();
+    });
+
+    it('should return null for a packet that is not RDF', () => {
+      const filter = new MetadataFilter({ copyright: true });
+
+      expect(filter.selectXmp(Buffer.from('<dc:rights>(c) Jane Doe</dc:rights>'))).toBeNull();
+    });
+
+    it('should keep only the properties of enabled fields', () => {
+      const filter = new MetadataFilter({ copyright: true, gps: true });
+
+      expect(filter.selectXmp(Buffer.from(sourceXmp))).toBe(
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+        '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">(c) Jane Doe XMP</rdf:li></rdf:Alt></dc:rights>' +
+        '</rdf:Description></rdf:RDF></x:xmpmeta>'
+      );
+    });
+
+    it('should follow the prefixes the source packet declares', () => {
+      const xmp = sourceXmp
+        .replace(/rdf:/g, 'r:').replace(/xmlns:rdf/g, 'xmlns:r')
+        .replace(/dc:/g, 'd:').replace(/xmlns:dc/g, 'xmlns:d');
+      const filter = new MetadataFilter({ creator: true });
+
+      expect(filter.selectXmp(Buffer.from(xmp))).toContain('<d:creator><r:Seq><r:li>Jane Doe XMP</r:li></r:Seq></d:creator>');
+    });
+
+    it('should return null when no enabled field has an XMP property', () => {
+      const filter = new MetadataFilter({ camera: true, gps: true });
+
+      expect(filter.selectXmp(Buffer.from(sourceXmp))).toBeNull();
+    });
+  });
+
+  describe('processed outputs', () => {
+    const processWith = async (preserveMetadata, format, extension) => {
+      const outputPath = path.join(tempDir, `output-${Object.keys(preserveMetadata).join('-')}.${extension}`);
+      const processor = new ImageProcessor(sharp, { preserveMetadata });
+
+      const [result] = await processor.processImage(inputPath, [
+        { outputPath, format, options: {} }
+      ]);
+      expect(result.success).toBe(true);
+
+      return readOutputTags(outputPath);
+    };
+
+    it.each(Object.keys(fieldTags))('should keep only %s tags when that field is enabled', async field => {
+      const tags = await processWith({ [field]: true }, 'jpeg', 'jpg');
+
+      for (const [otherField, tagNames] of Object.entries(fieldTags)) {
+        for (const tagName of tagNames) {
+          expect(tags[tagName]).toBe(otherField === field ? sourceTags[tagName] : undefined);
+        }
+      }
+    });
+
+    it.each([
+      ['webp', 'webp'],
+      ['avif', 'avif'],
+      ['jpeg', 'jpg']
+    ])('should keep copyright and creator but drop GPS in %s output', async (format, extension) => {
+      const tags = await processWith({ copyright: true, creator: true, gps: false }, format, extension);
+
+      expect(tags.Copyright).toBe('(c) Jane Doe');
+      expect(tags.Artist).toBe('Jane Doe');
+      expect(tags.GPSLatitude).toBeUndefined();
+      expect(tags.GPSLongitude).toBeUndefined();
+      expect(tags.Make).toBeUndefined();
+    });
+
+    it.each([
+      ['webp', 'webp'],
+      ['jpeg', 'jpg']
+    ])('should keep XMP copyright and creator but drop XMP GPS in %s output', async (format, extension) => {
+      const outputPath = path.join(tempDir, `output-xmp.${extension}`);
+      const processor = new ImageProcessor(sharp, { preserveMetadata: { copyright: true, creator: true, gps: false } });
+
+      await processor.processImage(inputPath, [{ outputPath, format, options: {} }]);
+      const xmp = (await sharp(outputPath).metadata()).xmp.toString();
+
+      expect(xmp).toContain('(c) Jane Doe XMP');
+      expect(xmp).toContain('<rdf:li>Jane Doe XMP</rdf:li>');
+      expect(xmp).not.toContain('GPSLatitude');
+    });
+
+    it('should strip all EXIF fields when no field is enabled', async () => {
+      const tags = await processWith({ gps: false }, 'jpeg', 'jpg');
+
+      expect(tags).toEqual({});
+    });
+
+    it('should keep everything when all is enabled', async () => {
+      const tags = await processWith({ all: true }, 'jpeg', 'jpg');
+
+      expect(tags.Copyright).toBe('(c) Jane Doe');
+      expect(tags.GPSLatitude).toBe('51/1 30/1 0/1');
+      expect(tags.LensModel).toBe('RF 50mm F1.2');
+    });
+  });
+});
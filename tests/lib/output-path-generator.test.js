@@ -35,6 +35,29 @@ describe('OutputPathGenerator', () => {
       
       expect(paths.original).toBe('/output/IMAGE.png');
     });
+
+    it('should generate a variant per breakpoint', () => {
+      const paths = generator.generatePaths('photos/photo.jpg', '', [320, 640]);
+      
+      expect(paths.variants).toEqual({
+        320: {
+          webp: '/output/photos/photo-320.webp',
+          avif: '/output/photos/photo-320.avif',
+          original: '/output/photos/photo-320.jpg'
+        },
+        640: {
+          webp: '/output/photos/photo-640.webp',
+          avif: '/output/photos/photo-640.avif',
+          original: '/output/photos/photo-640.jpg'
+        }
+      });
+    });
+
+    it('should omit variants when no breakpoints are configured', () => {
+      const paths = generator.generatePaths('photo.jpg');
+      
+      expect(paths.variants).toBeUndefined();
+    });
   });
 
   describe('getProcessingConfigs', () => {
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const OutputPruner = require('../../src/output-pruner');
+
+describe('OutputPruner', () => {
+  let tempDir;
+  let outputDir;
+  let pruner;
+
+  const output = file => path.join(outputDir, file);
+
+  const exists = async file => {
+    try {
+      await fs.access(output(file));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'output-pruner-test-'));
+    outputDir = path.join(tempDir, 'optimized');
+
+    for (const file of [
+      'hero.webp',
+      'hero-thumb.webp',
+      'old.webp',
+      'old.placeholder.json',
+      'manifest.json',
+      '.image-cache.json',
+      'README.md',
+      'blog/post.avif',
+      'gone/deep/photo.webp'
+    ]) {
+      await fs.mkdir(path.dirname(output(file)), { recursive: true });
+      await fs.writeFile(output(file), 'output');
+    }
+
+    pruner = new OutputPruner({ outputDir, protectedPaths: [output('manifest.json')] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should remove outputs that are not expected', async () => {
+    const result = await pruner.prune([output('hero.webp'), output('hero-thumb.webp'), output('blog/post.avif')]);
+
+    expect(result.files.sort()).toEqual([
+      output('gone/deep/photo.webp'),
+      output('old.placeholder.json'),
+      output('old.webp')
+    ]);
+    expect(await exists('old.webp')).toBe(false);
+    expect(await exists('hero.webp')).toBe(true);
+    expect(await exists('blog/post.avif')).toBe(true);
+  });
+
+  it('should remove directories left empty, deepest first', async () => {
+    const result = await pruner.prune([output('hero.webp')]);
+
+    expect([...result.directories].sort()).toEqual([output('blog'), output('gone'), output('gone/deep')]);
+    expect(result.directories.indexOf(output('gone/deep'))).toBeLessThan(result.directories.indexOf(output('gone')));
+    expect(await exists('gone')).toBe(false);
+    expect(await exists('blog')).toBe(false);
+    expect(await exists('')).toBe(true);
+  });
+
+  it('should keep protected files, dotfiles and files it did not write', async () => {
+    await pruner.prune([]);
+
+    expect(await exists('manifest.json')).toBe(true);
+    expect(await exists('.image-cache.json')).toBe(true);
+    expect(await exists('README.md')).toBe(true);
+  });
+
+  it('should only report in dry-run mode', async () => {
+    const result = await pruner.prune([output('hero.webp')], { dryRun: true });
+
+    expect(result.files).toContain(output('old.webp'));
+    expect(result.directories).toContain(output('gone'));
+    expect(await exists('old.webp')).toBe(true);
+    expect(await exists('gone/deep/photo.webp')).toBe(true);
+  });
+
+  it('should accept expected paths relative to the working directory', async () => {
+    const result = await pruner.prune([path.relative(process.cwd(), output('old.webp'))], { dryRun: true });
+
+    expect(result.files).not.toContain(output('old.webp'));
+  });
+
+  it('should limit pruning to one directory', async () => {
+    const result = await pruner.prune([], { directory: output('gone') });
+
+    expect(result.files).toEqual([output('gone/deep/photo.webp')]);
+    expect(await exists('gone')).toBe(false);
+    expect(await exists('old.webp')).toBe(true);
+  });
+
+  it('should do nothing when the output directory does not exist', async () => {
+    const missing = new OutputPruner({ outputDir: path.join(tempDir, 'missing') });
+
+    await expect(missing.prune([])).resolves.toEqual({ files: [], directories: [] });
+  });
+
+  describe('removeOutputs', () => {
+    it('should remove existing outputs and skip missing ones', async () => {
+      const removed = await pruner.removeOutputs([output('hero.webp'), output('hero.avif')]);
+
+      expect(removed).toEqual([output('hero.webp')]);
+      expect(await exists('hero.webp')).toBe(false);
+      expect(await exists('hero-thumb.webp')).toBe(true);
+    });
+
+    it('should remove directories left empty up to the output directory', async () => {
+      await pruner.removeOutputs([output('gone/deep/photo.webp')]);
+      await pruner.removeOutputs([output('blog/post.avif'), output('hero.webp'), output('hero-thumb.webp')]);
+
+      expect(await exists('gone')).toBe(false);
+      expect(await exists('blog')).toBe(false);
+      expect(await exists('')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const sharp = require('sharp');
+const { isBlurhashValid } = require('blurhash');
+const PlaceholderGenerator = require('../../src/placeholder-generator');
+
+describe('PlaceholderGenerator', () => {
+  let tempDir;
+  let inputPath;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'placeholder-generator-test-'));
+    inputPath = path.join(tempDir, 'input.png');
+
+    await sharp({
+      create: {
+        width: 120,
+        height: 80,
+        channels: 3,
+        background: { r: 200, g: 40, b: 10 }
+      }
+    }).png().toFile(inputPath);
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should generate every placeholder type when enabled with true', async () => {
+    const generator = new PlaceholderGenerator(sharp, true);
+
+    const placeholder = await generator.generate(inputPath);
+
+    expect(placeholder.width).toBe(120);
+    expect(placeholder.height).toBe(80);
+    expect(isBlurhashValid(placeholder.blurhash).result).toBe(true);
+    expect(placeholder.lqip).toMatch(/^data:image\/webp;base64,/);
+    expect(placeholder.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  it('should only generate the selected types', async () => {
+    const generator = new PlaceholderGenerator(sharp, { blurhash: false, lqip: false });
+
+    const placeholder = await generator.generate(inputPath);
+
+    expect(placeholder).not.toHaveProperty('blurhash');
+    expect(placeholder).not.toHaveProperty('lqip');
+    expect(placeholder.dominantColor).toBeDefined();
+  });
+
+  it('should keep the LQIP within the tiny size', async () => {
+    const generator = new PlaceholderGenerator(sharp, true);
+
+    const lqip = await generator.generateLqip(inputPath);
+    const metadata = await sharp(Buffer.from(lqip.split(',')[1], 'base64')).metadata();
+
+    expect(metadata.format).toBe('webp');
+    expect(metadata.width).toBe(16);
+    expect(metadata.height).toBe(11);
+  });
+
+  it('should report the dominant color as hex', async () => {
+    const generator = new PlaceholderGenerator(sharp, true);
+
+    const color = await generator.generateDominantColor(inputPath);
+
+    // sharp buckets colours, so only check the channel ordering
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    expect(r).toBeGreaterThan(g);
+    expect(g).toBeGreaterThan(b);
+  });
+});
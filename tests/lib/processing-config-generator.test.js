@@ -0,0 +1,26 @@
+const ProcessingConfigGenerator = require('../../src/processing-config-generator');
+const OutputPathGenerator = require('../../src/output-path-generator');
+
+describe('ProcessingConfigGenerator', () => {
+  const generator = new ProcessingConfigGenerator({ formats: ['webp'], quality: {} });
+  const paths = new OutputPathGenerator('optimized').generatePaths('banner.png', '', [200, 400]);
+
+  const variantsOf = configs => configs.filter(config => config.width);
+
+  it('should generate a variant per breakpoint', () => {
+    const variants = variantsOf(generator.generate('banner.png', paths));
+
+    expect(variants.map(config => config.resize)).toEqual([
+      { width: 200, withoutEnlargement: true, fit: 'inside' },
+      { width: 400, withoutEnlargement: true, fit: 'inside' }
+    ]);
+  });
+
+  it('should keep breakpoint variants within a rule\'s maxDimension', () => {
+    const resize = { width: 300, height: 300, withoutEnlargement: true, fit: 'inside' };
+    const variants = variantsOf(generator.generate('banner.png', paths, { resize }));
+
+    expect(variants.map(config => config.outputPath)).toEqual(['optimized/banner-200.webp']);
+    expect(variants[0].resize).toEqual({ width: 200, height: 300, withoutEnlargement: true, fit: 'inside' });
+  });
+});
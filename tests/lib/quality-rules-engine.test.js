@@ -271,6 +271,102 @@ describe('QualityRulesEngine', () => {
       
       expect(quality.webp).toBe(80);
     });
+    
+    it('should report whether any rule needs image metadata', () => {
+      expect(engine.usesMetadata()).toBe(true);
+      expect(new QualityRulesEngine([{ pattern: '*-hero.*', quality: { webp: 90 } }]).usesMetadata()).toBe(false);
+    });
+  });
+  
+  describe('getSettingsForImage', () => {
+    beforeEach(() => {
+      engine = new QualityRulesEngine([
+        { directory: 'icons/', formats: ['png'], generateThumbnails: false },
+        { pattern: '*-hero.*', formats: ['avif'], maxDimension: 3200, quality: { avif: 70 } },
+        { directory: 'marketing/', quality: { avif: 60, webp: 90 }, preserveMetadata: true },
+        { directory: 'marketing/drafts/', skip: true }
+      ]);
+    });
+    
+    it('should return the settings of matching rules', () => {
+      expect(engine.getSettingsForImage('original/icons/home.png')).toEqual({
+        formats: ['png'],
+        generateThumbnails: false
+      });
+      expect(engine.getSettingsForImage('original/photo.jpg')).toEqual({});
+    });
+    
+    it('should let more specific rules override settings and merge quality', () => {
+      expect(engine.getSettingsForImage('original/marketing/page-hero.jpg')).toEqual({
+        formats: ['avif'],
+        maxDimension: 3200,
+        preserveMetadata: true,
+        quality: { avif: 70, webp: 90 }
+      });
+    });
+    
+    it('should pass skip through', () => {
+      expect(engine.getSettingsForImage('original/marketing/drafts/wip.jpg').skip).toBe(true);
+    });
+  });
+  
+  describe('Image property rules', () => {
+    const photo = {
+      width: 4000,
+      height: 3000,
+      hasAlpha: false,
+      fileSize: 9 * 1024 * 1024,
+      format: 'jpeg',
+      space: 'srgb',
+      cameraModel: 'Pixel 8 Pro',
+      orientation: 6
+    };
+    const matches = (rule, metadata = photo) =>
+      new QualityRulesEngine([{ ...rule, quality: { webp: 50 } }])
+        .getQualityForImage('image.jpg', metadata, { webp: 80 }).webp === 50;
+    
+    it('should match aspect ratio ranges', () => {
+      expect(matches({ minAspectRatio: 1.2, maxAspectRatio: 1.4 })).toBe(true);
+      expect(matches({ maxAspectRatio: 1 })).toBe(false);
+    });
+    
+    it('should match transparency', () => {
+      expect(matches({ hasAlpha: false })).toBe(true);
+      expect(matches({ hasAlpha: true })).toBe(false);
+      expect(matches({ hasAlpha: true }, { ...photo, hasAlpha: true })).toBe(true);
+    });
+    
+    it('should match source file size', () => {
+      expect(matches({ minFileSize: 8 * 1024 * 1024 })).toBe(true);
+      expect(matches({ maxFileSize: 1024 * 1024 })).toBe(false);
+    });
+    
+    it('should match input format and color space case-insensitively', () => {
+      expect(matches({ inputFormat: 'jpg' })).toBe(true);
+      expect(matches({ inputFormat: ['PNG', 'webp'] })).toBe(false);
+      expect(matches({ colorSpace: 'sRGB' })).toBe(true);
+      expect(matches({ colorSpace: 'cmyk' })).toBe(false);
+    });
+    
+    it('should match camera model globs and orientations', () => {
+      expect(matches({ cameraModel: 'pixel*' })).toBe(true);
+      expect(matches({ cameraModel: 'iPhone*' })).toBe(false);
+      expect(matches({ cameraModel: 'pixel*' }, { ...photo, cameraModel: undefined })).toBe(false);
+      expect(matches({ orientation: [6, 8] })).toBe(true);
+      expect(matches({ orientation: 1 }, { ...photo, orientation: undefined })).toBe(true);
+    });
+    
+    it('should not match without metadata', () => {
+      expect(matches({ hasAlpha: false }, null)).toBe(false);
+    });
+    
+    it('should need metadata and rank like size rules', () => {
+      const engine = new QualityRulesEngine([{ hasAlpha: false, quality: { webp: 90 } }]);
+      
+      expect(engine.usesMetadata()).toBe(true);
+      expect(engine.getSpecificityScore({ hasAlpha: false })).toBe(engine.getSpecificityScore({ minWidth: 100 }));
+      expect(engine.explainMatch('image.png', { hasAlpha: false })[0].criteria).toBe('hasAlpha: false');
+    });
   });
   
   describe('Pattern matching', () => {
@@ -363,5 +459,34 @@ describe('QualityRulesEngine', () => {
       expect(explanation[0].criteria).toContain('directory: banners/');
       expect(explanation[1].criteria).toContain('minWidth: 2000');
     });
+    
+    it('should point at the rule position in qualityRules', () => {
+      const explanation = engine.explainMatch('banners/main-hero.png', { width: 3000, height: 2000 });
+      
+      expect(explanation.map(rule => rule.index)).toEqual([0, 1]);
+      expect(explanation[0].settings).toEqual({});
+    });
+  });
+  
+  describe('getSettingSources', () => {
+    it('should credit each setting to the most specific rule that sets it', () => {
+      engine = new QualityRulesEngine([
+        { directory: 'products/', quality: { webp: 80, avif: 70 }, formats: ['webp', 'avif'] },
+        { directory: 'products/', pattern: '*-hero.*', quality: { webp: 95 } }
+      ]);
+      
+      const sources = engine.getSettingSources('products/shoe-hero.jpg', null);
+      
+      expect(sources['quality.webp'].index).toBe(1);
+      expect(sources['quality.avif'].index).toBe(0);
+      expect(sources.formats.index).toBe(0);
+      expect(sources.skip).toBeUndefined();
+    });
+    
+    it('should return nothing when no rule matches', () => {
+      engine = new QualityRulesEngine([{ directory: 'products/', quality: { webp: 80 } }]);
+      
+      expect(engine.getSettingSources('blog/post.jpg', null)).toEqual({});
+    });
   });
 });
\ No newline at end of file
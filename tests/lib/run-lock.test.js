@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const RunLock = require('../../src/run-lock');
+
+describe('RunLock', () => {
+  let tempDir;
+  let lockFile;
+  let logger;
+
+  const createLock = (dependencies = {}, options = {}) => new RunLock(
+    { lockFile, logger, ...options },
+    { hostname: 'build-1', isProcessAlive: () => true, sleep: () => Promise.resolve(), ...dependencies }
+  );
+
+  const writeHolder = holder => fs.writeFileSync(lockFile, JSON.stringify(holder));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-lock-test-'));
+    lockFile = path.join(tempDir, '.image-optimization.lock');
+    logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write the PID, host and start time, and remove the lock on release', async () => {
+    const lock = createLock({ pid: 42, now: () => Date.parse('2026-01-02T03:04:05Z') });
+
+    await lock.acquire();
+
+    expect(JSON.parse(fs.readFileSync(lockFile, 'utf8'))).toEqual({
+      pid: 42,
+      hostname: 'build-1',
+      startedAt: '2026-01-02T03:04:05.000Z'
+    });
+
+    lock.release();
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  it('should fail with the holder\'s details while another run holds the lock', async () => {
+    writeHolder({ pid: 7, hostname: 'build-1', startedAt: '2026-01-02T03:04:05.000Z' });
+
+    await expect(createLock({ pid: 42 }).acquire())
+      .rejects.toThrow('holds ' + lockFile + ' (PID 7 on build-1, started 2026-01-02T03:04:05.000Z). Use --wait-for-lock');
+  });
+
+  it('should replace the lock of a process that no longer exists on this host', async () => {
+    writeHolder({ pid: 7, hostname: 'build-1', startedAt: '2026-01-02T03:04:05.000Z' });
+    const lock = createLock({ pid: 42, isProcessAlive: pid => pid !== 7 });
+
+    await lock.acquire();
+
+    expect(JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid).toBe(42);
+    expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Removing stale lock'));
+  });
+
+  it('should only treat locks from other hosts as stale once they are old', async () => {
+    const now = Date.parse('2026-01-02T12:00:00Z');
+    writeHolder({ pid: 7, hostname: 'build-2', startedAt: '2026-01-02T11:00:00.000Z' });
+
+    await expect(createLock({ now: () => now }, { staleAfter: 2 * 60 * 60 * 1000 }).acquire()).rejects.toThrow('build-2');
+    await expect(createLock({ now: () => now }, { staleAfter: 30 * 60 * 1000 }).acquire()).resolves.toBeUndefined();
+  });
+
+  it('should wait for the holder to finish with wait', async () => {
+    writeHolder({ pid: 7, hostname: 'build-1', startedAt: '2026-01-02T03:04:05.000Z' });
+    let checks = 0;
+    const lock = createLock({
+      pid: 42,
+      // The holder exits while we wait
+      isProcessAlive: () => ++checks < 3
+    });
+
+    await lock.acquire({ wait: true });
+
+    expect(JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid).toBe(42);
+    expect(logger.log.mock.calls.filter(([message]) => message.startsWith('⏳'))).toHaveLength(1);
+  });
+
+  it('should not remove a lock another run took over', async () => {
+    const lock = createLock({ pid: 42 });
+    await lock.acquire();
+    writeHolder({ pid: 7, hostname: 'build-1', startedAt: '2026-01-02T03:04:05.000Z' });
+
+    lock.release();
+
+    expect(JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid).toBe(7);
+  });
+});
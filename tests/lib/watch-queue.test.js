@@ -0,0 +1,104 @@
+const WatchQueue = require('../../src/watch-queue');
+
+describe('WatchQueue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const createQueue = (options = {}) => {
+    const batches = [];
+    const queue = new WatchQueue({
+      debounce: 100,
+      maxWait: 1000,
+      onBatch: tasks => {
+        batches.push(tasks);
+        return Promise.resolve();
+      },
+      ...options
+    });
+    return { queue, batches };
+  };
+
+  it('should collect events into one batch after the debounce', async () => {
+    const { queue, batches } = createQueue();
+
+    queue.push('a.jpg', { action: 'add' });
+    await jest.advanceTimersByTimeAsync(50);
+    queue.push('b.jpg', { action: 'add' });
+    await jest.advanceTimersByTimeAsync(99);
+    expect(batches).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(batches).toEqual([[{ action: 'add' }, { action: 'add' }]]);
+  });
+
+  it('should keep only the latest event per key', async () => {
+    const { queue, batches } = createQueue();
+
+    queue.push('a.jpg', { action: 'add' });
+    queue.push('b.jpg', { action: 'add' });
+    queue.push('a.jpg', { action: 'change' });
+    queue.push('a.jpg', { action: 'unlink' });
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(batches).toEqual([[{ action: 'add' }, { action: 'unlink' }]]);
+  });
+
+  it('should flush a steady stream of events after maxWait', async () => {
+    const { queue, batches } = createQueue();
+
+    for (let i = 0; i < 12; i++) {
+      queue.push(`${i}.jpg`, { action: 'add' });
+      await jest.advanceTimersByTimeAsync(90);
+    }
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0]).toHaveLength(12);
+  });
+
+  it('should queue events that arrive during a batch for the next one', async () => {
+    let finishBatch;
+    const { queue, batches } = createQueue({
+      onBatch: tasks => {
+        batches.push(tasks);
+        return new Promise(resolve => {
+          finishBatch = resolve;
+        });
+      }
+    });
+
+    queue.push('a.jpg', { action: 'add' });
+    await jest.advanceTimersByTimeAsync(100);
+    queue.push('a.jpg', { action: 'change' });
+    await jest.advanceTimersByTimeAsync(500);
+    expect(batches).toHaveLength(1);
+
+    finishBatch();
+    await jest.advanceTimersByTimeAsync(100);
+    expect(batches).toEqual([[{ action: 'add' }], [{ action: 'change' }]]);
+  });
+
+  it('should report batch failures and keep going', async () => {
+    const onError = jest.fn();
+    const { queue, batches } = createQueue({
+      onBatch: tasks => {
+        batches.push(tasks);
+        return Promise.reject(new Error('disk full'));
+      },
+      onError
+    });
+
+    queue.push('a.jpg', { action: 'add' });
+    await queue.drain();
+    queue.push('b.jpg', { action: 'add' });
+    await queue.drain();
+
+    expect(batches).toHaveLength(2);
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(queue.size).toBe(0);
+  });
+});
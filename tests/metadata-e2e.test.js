@@ -3,6 +3,7 @@ const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
 const sharp = require('sharp');
+const MetadataFilter = require('../src/metadata-filter');
 
 describe('Metadata Preservation E2E', () => {
   let testDir;
@@ -107,6 +108,105 @@ describe('Metadata Preservation E2E', () => {
     });
   });
   
+  describe('Selective preservation', () => {
+    it('should keep copyright and creator while removing GPS', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp', 'original'],
+          generateThumbnails: false,
+          preserveMetadata: {
+            copyright: true,
+            creator: true,
+            gps: false
+          }
+        })
+      );
+      
+      await sharp({
+        create: {
+          width: 200,
+          height: 200,
+          channels: 3,
+          background: { r: 0, g: 0, b: 255 }
+        }
+      })
+        .jpeg()
+        .withExif({
+          IFD0: {
+            Copyright: 'Selective Copyright',
+            Artist: 'Selective Artist',
+            Model: 'Test Camera'
+          },
+          IFD3: {
+            GPSLatitudeRef: 'N',
+            GPSLatitude: '51/1 30/1 0/1'
+          }
+        })
+        .toFile(path.join(testDir, 'original', 'test.jpg'));
+      
+      const { exitCode } = runOptimizer();
+      expect(exitCode).toBe(0);
+      
+      for (const output of ['test.jpg', 'test.webp']) {
+        const { exif } = await sharp(path.join(testDir, 'optimized', output)).metadata();
+        const tags = new MetadataFilter().readTags(exif);
+        
+        expect(tags.Copyright).toBe('Selective Copyright');
+        expect(tags.Artist).toBe('Selective Artist');
+        expect(tags.Model).toBeUndefined();
+        expect(tags.GPSLatitude).toBeUndefined();
+      }
+    });
+    
+    it('should keep an XMP-only copyright and creator while removing XMP GPS', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.imagerc'),
+        JSON.stringify({
+          formats: ['webp', 'original'],
+          generateThumbnails: false,
+          preserveMetadata: {
+            copyright: true,
+            creator: true,
+            gps: false
+          }
+        })
+      );
+      
+      await sharp({
+        create: {
+          width: 200,
+          height: 200,
+          channels: 3,
+          background: { r: 0, g: 255, b: 0 }
+        }
+      })
+        .jpeg()
+        .withXmp(
+          '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+          '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+          '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:exif="http://ns.adobe.com/exif/1.0/">' +
+          '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">XMP Copyright</rdf:li></rdf:Alt></dc:rights>' +
+          '<dc:creator><rdf:Seq><rdf:li>XMP Creator</rdf:li></rdf:Seq></dc:creator>' +
+          '<exif:GPSLatitude>51,30.0N</exif:GPSLatitude>' +
+          '</rdf:Description></rdf:RDF></x:xmpmeta>'
+        )
+        .toFile(path.join(testDir, 'original', 'test.jpg'));
+      
+      const { exitCode } = runOptimizer();
+      expect(exitCode).toBe(0);
+      
+      for (const output of ['test.jpg', 'test.webp']) {
+        const { exif, xmp } = await sharp(path.join(testDir, 'optimized', output)).metadata();
+        
+        expect(exif).toBeUndefined();
+        expect(xmp.toString()).toContain('<rdf:li xml:lang="x-default">XMP Copyright</rdf:li>');
+        expect(xmp.toString()).toContain('<rdf:li>XMP Creator</rdf:li>');
+        expect(xmp.toString()).not.toContain('GPSLatitude');
+      }
+    });
+  });
+  
   describe('Format compatibility', () => {
     it('should handle metadata in WebP conversion', async () => {
       // Create config
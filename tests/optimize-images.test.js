@@ -1,7 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
 const sharp = require('sharp');
 
 describe('optimize-images.js', () => {
@@ -251,10 +251,14 @@ describe('optimize-images.js', () => {
     expect(thumbMetadata.width).toBeLessThanOrEqual(300); // Default thumbnail size
   });
 
-  test('should copy GIF files without optimization', async () => {
+  test('should copy GIF files without optimization in copy mode', async () => {
     // Create a simple GIF file (just a valid header for testing)
     const gifHeader = Buffer.from('GIF89a', 'ascii');
     await fs.writeFile(path.join(inputDir, 'test.gif'), gifHeader);
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ gif: { mode: 'copy' } })
+    );
 
     const result = runScript();
     
@@ -274,6 +278,37 @@ describe('optimize-images.js', () => {
     expect(outputFiles).not.toContain('test.avif');
   });
 
+  test('should convert animated GIFs to animated WebP with timing and loop count', async () => {
+    const frames = await Promise.all([
+      { r: 255, g: 0, b: 0 },
+      { r: 0, g: 255, b: 0 },
+      { r: 0, g: 0, b: 255 }
+    ].map(background => sharp({
+      create: { width: 60, height: 40, channels: 3, background }
+    }).png().toBuffer()));
+    await sharp(frames, { join: { animated: true } })
+      .gif({ delay: [100, 200, 300], loop: 3 })
+      .toFile(path.join(inputDir, 'anim.gif'));
+
+    const result = runScript();
+
+    expect(result.exitCode).toBe(0);
+
+    const outputFiles = await fs.readdir(outputDir);
+    expect(outputFiles).not.toContain('anim.gif');
+    expect(outputFiles).not.toContain('anim.avif');
+
+    const webp = await sharp(path.join(outputDir, 'anim.webp'), { animated: true }).metadata();
+    expect(webp.format).toBe('webp');
+    expect(webp.pages).toBe(3);
+    expect(webp.delay).toEqual([100, 200, 300]);
+    expect(webp.loop).toBe(3);
+
+    const thumbnail = await sharp(path.join(outputDir, 'anim-thumb.webp'), { animated: true }).metadata();
+    expect(thumbnail.pages).toBeUndefined();
+    expect(thumbnail.height).toBeLessThanOrEqual(40);
+  });
+
   test('should resume from previous state when --resume flag is used', async () => {
     // Create multiple test images
     for (let i = 1; i <= 3; i++) {
@@ -384,6 +419,37 @@ describe('optimize-images.js', () => {
     expect(outputFiles.length).toBeGreaterThan(filesBeforeResume.length);
   });
 
+  test('should resume by file identity when images are added, fixed or changed', async () => {
+    const writeImage = (name, shade) => sharp({
+      create: { width: 40, height: 40, channels: 3, background: { r: shade, g: shade, b: shade } }
+    }).png().toFile(path.join(inputDir, name));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp'], generateThumbnails: false })
+    );
+    await fs.writeFile(path.join(inputDir, 'b.png'), 'not an image');
+    await writeImage('c.png', 100);
+    await writeImage('d.png', 150);
+
+    const firstRun = runScript('--continue-on-error');
+    expect(firstRun.output).toContain('Processed: 2 images');
+
+    // An image sorted before the others, a fixed one and a changed one
+    await writeImage('a.png', 50);
+    await writeImage('b.png', 75);
+    await writeImage('d.png', 200);
+
+    // --force would regenerate everything, so only the resume state skips c.png
+    const result = runScript('--resume --force');
+
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toContain('📂 Resuming from previous state...');
+    expect(result.output).toContain('Processed: 3 images');
+    expect(result.output).toContain('Skipped: 1 images');
+    expect(await fs.readdir(outputDir)).toEqual(expect.arrayContaining(['a.webp', 'b.webp', 'c.webp', 'd.webp']));
+  });
+
   test('should show progress information during processing', async () => {
     // Create multiple images to ensure progress is shown
     for (let i = 1; i <= 5; i++) {
@@ -498,4 +564,441 @@ describe('optimize-images.js', () => {
     expect(outputFiles).toContain('nested.avif');
     expect(outputFiles).toContain('nested-thumb.webp');
   });
-});
\ No newline at end of file
+
+  test('should skip touched but unchanged images with --change-detection=hash', async () => {
+    const imagePath = path.join(inputDir, 'test.png');
+    await sharp({
+      create: {
+        width: 100,
+        height: 100,
+        channels: 4,
+        background: { r: 0, g: 0, b: 255, alpha: 1 }
+      }
+    })
+      .png()
+      .toFile(imagePath);
+
+    const firstRun = runScript('--change-detection=hash');
+    expect(firstRun.exitCode).toBe(0);
+    
+    // Simulate a fresh checkout: every source mtime is newer than the outputs
+    const futureTime = new Date(Date.now() + 60000);
+    await fs.utimes(imagePath, futureTime, futureTime);
+    
+    const secondRun = runScript('--change-detection=hash');
+    expect(secondRun.exitCode).toBe(0);
+    expect(secondRun.output).toMatch(/Skipped: 1 images/);
+    
+    // Changing the bytes triggers reprocessing
+    await sharp({
+      create: {
+        width: 100,
+        height: 100,
+        channels: 4,
+        background: { r: 255, g: 255, b: 0, alpha: 1 }
+      }
+    })
+      .png()
+      .toFile(imagePath);
+    
+    const thirdRun = runScript('--change-detection=hash');
+    expect(thirdRun.exitCode).toBe(0);
+    expect(thirdRun.output).toMatch(/Processed: 1 images/);
+  });
+
+  test('should process images in parallel with --concurrency', async () => {
+    for (let i = 1; i <= 6; i++) {
+      await sharp({
+        create: {
+          width: 100,
+          height: 100,
+          channels: 4,
+          background: { r: i * 30, g: i * 30, b: i * 30, alpha: 1 }
+        }
+      })
+        .png()
+        .toFile(path.join(inputDir, `test${i}.png`));
+    }
+    await fs.writeFile(path.join(inputDir, 'corrupt.png'), 'not a real png file');
+
+    const result = runScript('--concurrency=3 --continue-on-error');
+    
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toMatch(/Processed: 6 images/);
+    expect(result.output).toMatch(/Errors: 1 images/);
+    
+    const outputFiles = await fs.readdir(outputDir);
+    for (let i = 1; i <= 6; i++) {
+      expect(outputFiles).toContain(`test${i}.webp`);
+    }
+  });
+
+  const createPng = filePath => sharp({
+    create: {
+      width: 60,
+      height: 60,
+      channels: 3,
+      background: { r: 0, g: 128, b: 255 }
+    }
+  })
+    .png()
+    .toFile(filePath);
+
+  test('should read images from --input-dir', async () => {
+    const customDir = path.join(testDir, 'assets', 'images');
+    await fs.mkdir(customDir, { recursive: true });
+    await createPng(path.join(customDir, 'custom.png'));
+    await createPng(path.join(inputDir, 'ignored.png'));
+
+    const result = runScript('--input-dir=assets/images');
+
+    expect(result.exitCode).toBe(0);
+    const outputFiles = await fs.readdir(outputDir);
+    expect(outputFiles).toContain('custom.webp');
+    expect(outputFiles).not.toContain('ignored.webp');
+  });
+
+  test('should map each configured source to its own output subdirectory', async () => {
+    const webDir = path.join(testDir, 'apps', 'web', 'assets');
+    const adminDir = path.join(testDir, 'apps', 'admin', 'assets');
+    await fs.mkdir(path.join(webDir, 'icons'), { recursive: true });
+    await fs.mkdir(adminDir, { recursive: true });
+    await createPng(path.join(webDir, 'logo.png'));
+    await createPng(path.join(webDir, 'icons', 'menu.png'));
+    await createPng(path.join(adminDir, 'logo.png'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({
+        formats: ['webp'],
+        generateThumbnails: false,
+        manifest: true,
+        sources: [
+          { input: 'apps/web/assets', output: 'web' },
+          'apps/admin/assets'
+        ]
+      })
+    );
+
+    const result = runScript();
+
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toMatch(/Processed: 3 images/);
+    await expect(fs.access(path.join(outputDir, 'web', 'logo.webp'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(outputDir, 'web', 'icons', 'menu.webp'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(outputDir, 'apps', 'admin', 'assets', 'logo.webp'))).resolves.toBeUndefined();
+
+    const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    expect(manifest.images['web/icons/menu.png'].source).toBe('apps/web/assets/icons/menu.png');
+
+    // A second run finds every output up to date
+    const secondRun = runScript();
+    expect(secondRun.output).toMatch(/Skipped: 3 images/);
+  });
+
+  test('should apply include and exclude globs from config and CLI', async () => {
+    await fs.mkdir(path.join(inputDir, 'drafts'), { recursive: true });
+    await fs.mkdir(path.join(inputDir, 'vendor'), { recursive: true });
+    await createPng(path.join(inputDir, 'keep.png'));
+    await createPng(path.join(inputDir, 'drafts', 'draft.png'));
+    await createPng(path.join(inputDir, 'vendor', 'lib.png'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp'], generateThumbnails: false, exclude: ['**/drafts/**'] })
+    );
+
+    const configRun = runScript();
+    expect(configRun.exitCode).toBe(0);
+    expect(configRun.output).toMatch(/Found 2 images/);
+    await expect(fs.access(path.join(outputDir, 'drafts'))).rejects.toThrow();
+
+    // CLI globs replace the configured ones
+    const cliRun = runScript("--force --exclude='vendor/**' --exclude='keep.*'");
+    expect(cliRun.exitCode).toBe(0);
+    expect(cliRun.output).toMatch(/Found 1 images/);
+    await expect(fs.access(path.join(outputDir, 'drafts', 'draft.webp'))).resolves.toBeUndefined();
+  });
+
+  test('should remove outputs of deleted images with --prune', async () => {
+    await fs.mkdir(path.join(inputDir, 'old'), { recursive: true });
+    await createPng(path.join(inputDir, 'keep.png'));
+    await createPng(path.join(inputDir, 'old', 'gone.png'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'avif'], manifest: true, changeDetection: 'hash' })
+    );
+
+    expect(runScript().exitCode).toBe(0);
+    await fs.rm(path.join(inputDir, 'old'), { recursive: true });
+
+    const dryRun = runScript('--prune --dry-run');
+    expect(dryRun.exitCode).toBe(0);
+    expect(dryRun.output).toMatch(/Would remove 3 orphaned files and 1 empty directories/);
+    await expect(fs.access(path.join(outputDir, 'old', 'gone.webp'))).resolves.toBeUndefined();
+
+    const pruneRun = runScript('--prune');
+    expect(pruneRun.exitCode).toBe(0);
+    expect(pruneRun.output).toMatch(/Removed 3 orphaned files and 1 empty directories/);
+    await expect(fs.access(path.join(outputDir, 'old'))).rejects.toThrow();
+
+    const outputFiles = await fs.readdir(outputDir);
+    expect(outputFiles.sort()).toEqual([
+      '.image-cache.json',
+      'keep-thumb.webp',
+      'keep.avif',
+      'keep.webp',
+      'manifest.json'
+    ]);
+
+    const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    expect(Object.keys(manifest.images)).toEqual(['keep.png']);
+  });
+
+  test('should keep the outputs of .jpeg and .webp sources when pruning', async () => {
+    const image = sharp({ create: { width: 60, height: 60, channels: 3, background: { r: 0, g: 128, b: 255 } } });
+    await image.clone().jpeg().toFile(path.join(inputDir, 'photo.jpeg'));
+    await image.clone().webp().toFile(path.join(inputDir, 'pic.webp'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'original'], breakpoints: [40], prune: true })
+    );
+
+    expect(runScript().exitCode).toBe(0);
+    const written = (await fs.readdir(outputDir)).sort();
+    expect(written).toEqual(expect.arrayContaining(['photo.jpg', 'photo-40.jpg', 'pic.jpg', 'pic-40.jpg']));
+
+    // A second run re-encodes nothing, and neither its automatic prune nor
+    // --prune removes anything
+    const secondRun = runScript();
+    expect(secondRun.output).toMatch(/Processed: 0 images/);
+    expect(secondRun.output).toMatch(/No orphaned outputs/);
+    expect(runScript('--prune').output).toMatch(/No orphaned outputs/);
+    expect((await fs.readdir(outputDir)).sort()).toEqual(written);
+  });
+
+  test('should describe every variant of .jpeg and .webp sources in the manifest', async () => {
+    const image = sharp({ create: { width: 60, height: 60, channels: 3, background: { r: 0, g: 128, b: 255 } } });
+    await image.clone().jpeg().toFile(path.join(inputDir, 'photo.jpeg'));
+    await image.clone().webp().toFile(path.join(inputDir, 'pic.webp'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'original'], breakpoints: [40], manifest: true })
+    );
+
+    const result = runScript();
+    expect(result.exitCode).toBe(0);
+    expect(result.output).not.toMatch(/Output missing/);
+
+    const manifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    const outputsOf = file => manifest.images[file].outputs.map(output => path.basename(output.path)).sort();
+    expect(outputsOf('photo.jpeg')).toEqual(['photo-40.jpg', 'photo-40.webp', 'photo-thumb.webp', 'photo.jpg', 'photo.webp']);
+    expect(outputsOf('pic.webp')).toEqual(['pic-40.jpg', 'pic-thumb.webp', 'pic.jpg']);
+  });
+
+  test('should prune automatically after a run when prune is enabled', async () => {
+    await createPng(path.join(inputDir, 'renamed.png'));
+    await fs.writeFile(path.join(outputDir, 'before-rename.webp'), 'stale');
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp'], generateThumbnails: false, prune: true })
+    );
+
+    const result = runScript();
+
+    expect(result.exitCode).toBe(0);
+    expect(result.output).toMatch(/Removed 1 orphaned files/);
+    expect((await fs.readdir(outputDir)).sort()).toEqual(['.image-cache.json', 'renamed.webp']);
+  });
+
+  test('should preview a run with --dry-run without writing anything', async () => {
+    await createPng(path.join(inputDir, 'hero.png'));
+    await createPng(path.join(inputDir, 'icon.png'));
+
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({
+        formats: ['webp'],
+        generateThumbnails: false,
+        manifest: true,
+        qualityRules: [{ pattern: 'hero.*', quality: { webp: 95 } }]
+      })
+    );
+
+    const textRun = runScript('--dry-run');
+    expect(textRun.exitCode).toBe(0);
+    expect(textRun.output).toMatch(/Process hero\.png/);
+    expect(textRun.output).toMatch(/hero\.webp \(webp, quality 95\)/);
+    expect(textRun.output).toMatch(/Plan: 2 to process/);
+    expect(await fs.readdir(outputDir)).toEqual([]);
+
+    const jsonRun = runScript('--dry-run=json');
+    expect(jsonRun.exitCode).toBe(0);
+    const plan = JSON.parse(jsonRun.output);
+    expect(plan.summary).toEqual({ process: 2, pullLfs: 0, skip: 0 });
+    const icon = plan.images.find(image => image.file === 'icon.png');
+    expect(icon.outputs).toEqual([{ path: path.join('optimized', 'icon.webp'), format: 'webp', quality: 80 }]);
+
+    expect(runScript().exitCode).toBe(0);
+    const afterRun = JSON.parse(runScript('--dry-run=json').output);
+    expect(afterRun.summary).toEqual({ process: 0, pullLfs: 0, skip: 2 });
+  });
+
+  const startWatch = () => {
+    const child = spawn('node', [scriptPath, '--watch'], { cwd: testDir });
+    const watcher = { output: '' };
+    child.stdout.on('data', data => {
+      watcher.output += data;
+    });
+    child.stderr.on('data', data => {
+      watcher.output += data;
+    });
+
+    watcher.waitForOutput = async pattern => {
+      for (let attempt = 0; attempt < 150 && !pattern.test(watcher.output); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      expect(watcher.output).toMatch(pattern);
+    };
+
+    watcher.stop = async () => {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.on('exit', resolve));
+        child.kill();
+        await exited;
+      }
+    };
+
+    return watcher;
+  };
+
+  test('should leave neither outputs nor temp files when interrupted mid-encode', async () => {
+    await fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify({ formats: ['avif'], generateThumbnails: false }));
+    await sharp({
+      create: { width: 6000, height: 4000, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 60 } }
+    }).png({ compressionLevel: 0 }).toFile(path.join(inputDir, 'huge.png'));
+
+    const child = spawn('node', [scriptPath], { cwd: testDir });
+    let output = '';
+    child.stdout.on('data', data => {
+      output += data;
+    });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+
+    for (let attempt = 0; attempt < 100 && !output.includes('Found 1 images'); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+    child.kill('SIGINT');
+
+    expect(await exited).toBe(130);
+    expect(await fs.readdir(outputDir)).toEqual([]);
+  }, 30000);
+
+  test('should refuse to run while another run holds the lock, or wait with --wait-for-lock', async () => {
+    await sharp({ create: { width: 20, height: 20, channels: 3, background: '#0f0' } })
+      .png().toFile(path.join(inputDir, 'green.png'));
+    const lockFile = path.join(testDir, '.image-optimization.lock');
+
+    // A live process on this host holds the lock for about two seconds
+    const holder = spawn('node', ['-e', 'setTimeout(() => {}, 2000)']);
+    await fs.writeFile(lockFile, JSON.stringify({
+      pid: holder.pid,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString()
+    }));
+    const holderExited = new Promise(resolve => holder.on('exit', resolve));
+
+    try {
+      const refused = runScript();
+      expect(refused.exitCode).toBe(1);
+      expect(refused.output).toContain(`Another image optimizer run holds .image-optimization.lock (PID ${holder.pid}`);
+      expect(await fs.readdir(outputDir)).toEqual([]);
+
+      // Dry-runs only read, so they do not need the lock
+      expect(runScript('--dry-run').exitCode).toBe(0);
+
+      // Spawned, not run synchronously, so this process can reap the holder
+      // once it exits; until then it still counts as running
+      const waiting = spawn('node', [scriptPath, '--wait-for-lock'], { cwd: testDir });
+      let output = '';
+      waiting.stdout.on('data', data => {
+        output += data;
+      });
+      waiting.stderr.on('data', data => {
+        output += data;
+      });
+      const exitCode = await new Promise(resolve => waiting.on('exit', resolve));
+
+      expect(exitCode).toBe(0);
+      expect(output).toContain('⏳ Waiting for the run holding');
+      expect(output).toContain('Removing stale lock');
+      expect(await fs.readdir(outputDir)).toContain('green.webp');
+      await expect(fs.access(lockFile)).rejects.toThrow();
+    } finally {
+      holder.kill();
+      await holderExited;
+    }
+  }, 30000);
+
+  const listOutputs = async () => (await fs.readdir(outputDir, { recursive: true })).sort();
+
+  test('should write the same output layout in watch mode as in a batch run', async () => {
+    await fs.writeFile(
+      path.join(testDir, '.imagerc'),
+      JSON.stringify({ formats: ['webp', 'original'], manifest: true })
+    );
+
+    const watcher = startWatch();
+
+    try {
+      await watcher.waitForOutput(/Watching for changes/);
+
+      // Create the image elsewhere and move it in, so the watcher sees a complete file
+      await fs.mkdir(path.join(inputDir, 'products', 'shoes'), { recursive: true });
+      await createPng(path.join(testDir, 'runner.png'));
+      await fs.rename(path.join(testDir, 'runner.png'), path.join(inputDir, 'products', 'shoes', 'runner.png'));
+
+      await watcher.waitForOutput(/✅ Optimized products\/shoes\/runner\.png/);
+    } finally {
+      await watcher.stop();
+    }
+
+    const watchOutputs = await listOutputs();
+    const watchManifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    expect(watchOutputs).toContain(path.join('products', 'shoes', 'runner.webp'));
+
+    await fs.rm(outputDir, { recursive: true });
+    expect(runScript().exitCode).toBe(0);
+
+    expect(await listOutputs()).toEqual(watchOutputs);
+    const batchManifest = JSON.parse(await fs.readFile(path.join(outputDir, 'manifest.json'), 'utf8'));
+    expect(Object.keys(batchManifest.images)).toEqual(Object.keys(watchManifest.images));
+  }, 30000);
+
+  test('should reload .imagerc while watching and reprocess affected images', async () => {
+    const writeConfig = config => fs.writeFile(path.join(testDir, '.imagerc'), JSON.stringify(config));
+    await createPng(path.join(inputDir, 'hero.png'));
+    await writeConfig({ formats: ['webp'], generateThumbnails: false, watch: { reprocessOnConfigChange: true } });
+
+    const watcher = startWatch();
+
+    try {
+      await watcher.waitForOutput(/Watching for changes/);
+
+      await writeConfig({ formats: ['webp'], quality: { webp: 500 } });
+      await watcher.waitForOutput(/Invalid configuration, keeping the previous one: Quality for webp must be between 1 and 100/);
+
+      await writeConfig({ formats: ['webp', 'avif'], generateThumbnails: false, watch: { reprocessOnConfigChange: true } });
+      await watcher.waitForOutput(/Reprocessed 1 images/);
+    } finally {
+      await watcher.stop();
+    }
+
+    await expect(fs.access(path.join(outputDir, 'hero.avif'))).resolves.toBeUndefined();
+  }, 30000);
+});
@@ -213,6 +213,31 @@ describe('Per-Image Quality E2E', () => {
       // Small should have lower quality than medium
       expect(smallSize).toBeLessThan(mediumSize);
     });
+    
+    it('should pick rules by the actual dimensions of each image', async () => {
+      // Same pixels, but the rotated copy is displayed 400px wide
+      const wideImage = await sharp(await createTestImage())
+        .resize(2400, 400)
+        .jpeg()
+        .toBuffer();
+      await fs.writeFile('original/wide.jpg', wideImage);
+      await fs.writeFile('original/rotated.jpg', await sharp(wideImage).withMetadata({ orientation: 6 }).toBuffer());
+      
+      const plan = JSON.parse(execSync(`node ${scriptPath} --dry-run=json`, { encoding: 'utf8' }));
+      const qualityOf = file => plan.images.find(image => image.file === file).quality.webp;
+      
+      expect(qualityOf('small.png')).toBe(30);
+      expect(qualityOf('medium.png')).toBe(70);
+      expect(qualityOf('large.png')).toBe(95);
+      expect(qualityOf('wide.jpg')).toBe(95);
+      expect(qualityOf('rotated.jpg')).toBe(30);
+      
+      execSync(`node ${scriptPath}`, { encoding: 'utf8' });
+      
+      const wideSize = (await fs.stat('optimized/wide.webp')).size;
+      const rotatedSize = (await fs.stat('optimized/rotated.webp')).size;
+      expect(rotatedSize).toBeLessThan(wideSize * 0.8);
+    }, 60000);
   });
   
   describe('Combined rules', () => {
@@ -270,6 +295,102 @@ describe('Per-Image Quality E2E', () => {
       expect(marketingHeroSize).toBeGreaterThanOrEqual(heroSize);
       expect(marketingHeroSize).toBeGreaterThanOrEqual(marketingRegularSize);
     });
+    
+    it('should explain which rule and layer supplied each setting', () => {
+      const result = execSync(`node ${scriptPath} explain original/marketing/banner-hero.png --no-thumbnails`, { encoding: 'utf8' });
+      
+      expect(result).toContain('Config file: ' + path.join(testDir, '.imagerc'));
+      expect(result).toMatch(/qualityRules\[0\] pattern: \*-hero\.\*, directory: marketing\/ \(specificity 10.7\)/);
+      expect(result).toContain('qualityRules[2] directory: marketing/');
+      expect(result).toMatch(/quality\.webp\s+95\s+← qualityRules\[0\]/);
+      expect(result).toMatch(/formats\s+\["webp"\]\s+← \.imagerc/);
+      expect(result).toMatch(/generateThumbnails\s+false\s+← command line/);
+      expect(result).toMatch(/thumbnailWidth\s+\d+\s+← default/);
+      
+      // Unknown files fail with a message instead of an empty explanation
+      expect(() => execSync(`node ${scriptPath} explain original/marketing/missing.png`, { stdio: 'pipe' }))
+        .toThrow(/does not exist/);
+    });
+  });
+  
+  describe('Output rules', () => {
+    it('should let rules choose formats, thumbnails, dimensions and skipping', async () => {
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: true,
+        qualityRules: [
+          { directory: 'icons/', formats: ['png'], generateThumbnails: false },
+          { pattern: '*-hero.*', formats: ['avif'], maxDimension: 3200 },
+          { directory: 'drafts/', skip: true }
+        ]
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      await fs.mkdir('original/icons', { recursive: true });
+      await fs.mkdir('original/drafts', { recursive: true });
+      
+      const testImageBuffer = await createTestImage();
+      const wideImage = await sharp(testImageBuffer).resize(4000, 1000).png().toBuffer();
+      await fs.writeFile('original/icons/home.png', await sharp(testImageBuffer).resize(64, 64).png().toBuffer());
+      await fs.writeFile('original/page-hero.png', wideImage);
+      await fs.writeFile('original/banner.png', wideImage);
+      await fs.writeFile('original/drafts/wip.png', testImageBuffer);
+      
+      execSync(`node ${scriptPath}`, { encoding: 'utf8' });
+      
+      expect((await fs.readdir('optimized/icons')).sort()).toEqual(['home.png']);
+      expect((await fs.readdir('optimized')).sort()).toEqual([
+        '.image-cache.json', 'banner-thumb.webp', 'banner.webp', 'icons', 'page-hero-thumb.webp', 'page-hero.avif'
+      ]);
+      
+      expect((await sharp('optimized/page-hero.avif').metadata()).width).toBe(3200);
+      expect((await sharp('optimized/banner.webp').metadata()).width).toBe(2000);
+    }, 60000);
+  });
+  
+  describe('Image property rules', () => {
+    it('should match on transparency, camera model and file size', async () => {
+      const config = {
+        formats: ['webp'],
+        generateThumbnails: false,
+        quality: { webp: 80 },
+        qualityRules: [
+          { hasAlpha: true, inputFormat: 'png', lossless: true },
+          { cameraModel: 'Pixel*', minFileSize: 100 * 1024, quality: { webp: 40 } }
+        ]
+      };
+      
+      await fs.writeFile('.imagerc', JSON.stringify(config, null, 2));
+      
+      // Semi-transparent copy of the test image
+      const testImageBuffer = await createTestImage();
+      const rgb = await sharp(testImageBuffer).resize(200, 200).raw().toBuffer();
+      const rgba = Buffer.alloc(200 * 200 * 4, 200);
+      for (let i = 0; i < 200 * 200; i++) {
+        rgb.copy(rgba, i * 4, i * 3, i * 3 + 3);
+      }
+      await fs.writeFile('original/logo.png', await sharp(rgba, { raw: { width: 200, height: 200, channels: 4 } })
+        .png()
+        .toBuffer());
+      
+      const phonePhoto = image => sharp(image)
+        .withExif({ IFD0: { Make: 'Google', Model: 'Pixel 8' } })
+        .jpeg({ quality: 95 })
+        .toBuffer();
+      await fs.writeFile('original/large-photo.jpg', await phonePhoto(testImageBuffer));
+      await fs.writeFile('original/small-photo.jpg', await phonePhoto(await sharp(testImageBuffer).resize(100, 75).toBuffer()));
+      
+      const plan = JSON.parse(execSync(`node ${scriptPath} --dry-run=json`, { encoding: 'utf8' }));
+      const qualityOf = file => plan.images.find(image => image.file === file).quality.webp;
+      expect(qualityOf('large-photo.jpg')).toBe(40);
+      expect(qualityOf('small-photo.jpg')).toBe(80);
+      
+      execSync(`node ${scriptPath}`, { encoding: 'utf8' });
+      
+      // Lossless output decodes to exactly the source pixels
+      const pixels = file => sharp(file).raw().toBuffer();
+      expect((await pixels('optimized/logo.webp')).equals(await pixels('original/logo.png'))).toBe(true);
+    });
   });
   
   describe('Debug output', () => {